@@ -7,12 +7,303 @@ const Datastore = require('screwdriver-datastore-base');
 const schemas = require('screwdriver-data-schema');
 const Sequelize = require('sequelize');
 const fs = require('fs');
+const { performance } = require('perf_hooks');
+const Joi = require('joi');
 const MODELS = schemas.models;
 const MODEL_NAMES = Object.keys(MODELS);
 const logger = require('screwdriver-logger');
 const pg = require('pg');
+const Migrator = require('./lib/migrations');
+const errors = require('./lib/errors');
+const retry = require('./lib/retry');
+const { credentialSource, fileSource, tokenSource } = require('./lib/credentials');
+const { SlowQueryLog } = require('./lib/slowlog');
+const { ReadThroughCache } = require('./lib/cache');
+const { StatementLimits, setSessionTimeout } = require('./lib/timeouts');
+const { chunk, series, sleep } = require('./lib/utils');
+const datastoreSchema = schemas.plugins.datastore;
+// Datastore method schemas extended with the options this implementation supports
+const SCHEMA_USE_PRIMARY = Joi.boolean();
+// Options of every operation limiting how long its statements run, see lib/timeouts
+const SCHEMA_STATEMENT_LIMITS = {
+    timeout: Joi.number().integer().positive(),
+    signal: Joi.object().instance(AbortSignal)
+};
+// Reads of soft-deleted records, see softDelete
+const SCHEMA_INCLUDE_DELETED = Joi.boolean();
+const SCHEMA_GET = datastoreSchema.get.keys({
+    usePrimary: SCHEMA_USE_PRIMARY,
+    includeDeleted: SCHEMA_INCLUDE_DELETED,
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_SAVE = datastoreSchema.save.keys(SCHEMA_STATEMENT_LIMITS);
+const SCHEMA_REMOVE = datastoreSchema.remove.keys(SCHEMA_STATEMENT_LIMITS);
+const SCHEMA_QUERY = datastoreSchema.query.keys({
+    usePrimary: SCHEMA_USE_PRIMARY,
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_UPDATE = datastoreSchema.update.keys({
+    expected: Joi.object().min(1),
+    ...SCHEMA_STATEMENT_LIMITS
+});
+// Operators of scan filter conditions
+const FILTER_OPERATORS = {
+    eq: Sequelize.Op.eq,
+    ne: Sequelize.Op.ne,
+    gt: Sequelize.Op.gt,
+    gte: Sequelize.Op.gte,
+    lt: Sequelize.Op.lt,
+    lte: Sequelize.Op.lte,
+    in: Sequelize.Op.in,
+    notIn: Sequelize.Op.notIn,
+    isNull: Sequelize.Op.is,
+    notNull: Sequelize.Op.not,
+    between: Sequelize.Op.between
+};
+const SCHEMA_FILTER = Joi.alternatives()
+    .conditional(Joi.object({ and: Joi.exist() }).unknown(), {
+        then: Joi.object({ and: Joi.array().items(Joi.link('#filterNode')).min(1).required() })
+    })
+    .conditional(Joi.object({ or: Joi.exist() }).unknown(), {
+        then: Joi.object({ or: Joi.array().items(Joi.link('#filterNode')).min(1).required() }),
+        otherwise: Joi.object({
+            field: Joi.string().max(100).required(),
+            path: Joi.array()
+                .items(
+                    Joi.string()
+                        .max(200)
+                        .pattern(/^[^"]+$/)
+                )
+                .min(1),
+            op: Joi.string()
+                .valid(...Object.keys(FILTER_OPERATORS))
+                .required(),
+            value: Joi.when('op', {
+                switch: [
+                    { is: Joi.valid('isNull', 'notNull'), then: Joi.forbidden() },
+                    { is: Joi.valid('in', 'notIn'), then: Joi.array().min(1).required() },
+                    { is: 'between', then: Joi.array().length(2).required() }
+                ],
+                otherwise: Joi.any().invalid(null).required()
+            })
+        })
+    })
+    .id('filterNode');
+const SCHEMA_SCAN = datastoreSchema.scan
+    .keys({
+        paginate: Joi.object().keys({
+            count: Joi.number().integer().positive().required(),
+            page: Joi.number()
+                .integer()
+                .positive()
+                .when('...cursor', { is: Joi.exist(), then: Joi.forbidden(), otherwise: Joi.required() })
+        }),
+        cursor: Joi.string().allow(null),
+        filter: SCHEMA_FILTER,
+        usePrimary: SCHEMA_USE_PRIMARY,
+        includeDeleted: SCHEMA_INCLUDE_DELETED,
+        ...SCHEMA_STATEMENT_LIMITS
+    })
+    .with('cursor', 'paginate');
+const SCHEMA_SCAN_ITERATOR = Joi.object({
+    batchSize: Joi.number().integer().positive(),
+    paginate: Joi.forbidden(),
+    cursor: Joi.forbidden()
+}).unknown();
+const SCHEMA_HEALTH_CHECK = Joi.object({
+    timeout: Joi.number().integer().positive()
+});
+const SCHEMA_CLOSE = Joi.object({
+    timeout: Joi.number().integer().positive()
+});
+const SCHEMA_FIND_CORRUPT = Joi.object({
+    table: Joi.string().required(),
+    batchSize: Joi.number().integer().positive(),
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_UPSERT = Joi.object({
+    table: Joi.string().required(),
+    params: Joi.object().min(1).required(),
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_RESTORE = Joi.object({
+    table: Joi.string().required(),
+    params: Joi.object({ id: Joi.number().integer().positive().required() }).unknown().required(),
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_PURGE = Joi.object({
+    table: Joi.string().required(),
+    retention: Joi.number().integer().min(0),
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_SOFT_DELETE = Joi.object({
+    tables: Joi.array()
+        .items(Joi.string().valid(...MODEL_NAMES.map(name => MODELS[name].tableName)))
+        .required(),
+    retention: Joi.number().integer().min(0)
+});
+const SCHEMA_BULK_IDS = Joi.array().items(Joi.number().integer().positive()).min(1).required();
+const SCHEMA_CHUNK_SIZE = Joi.number().integer().positive();
+const SCHEMA_BULK_SAVE = Joi.object({
+    table: Joi.string().required(),
+    params: Joi.array().items(Joi.object()).min(1).required(),
+    chunkSize: SCHEMA_CHUNK_SIZE,
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_BULK_UPDATE = Joi.object({
+    table: Joi.string().required(),
+    ids: SCHEMA_BULK_IDS,
+    params: Joi.object({ id: Joi.any().forbidden() }).unknown().min(1).required(),
+    chunkSize: SCHEMA_CHUNK_SIZE,
+    ...SCHEMA_STATEMENT_LIMITS
+});
+const SCHEMA_BULK_REMOVE = Joi.object({
+    table: Joi.string().required(),
+    ids: SCHEMA_BULK_IDS,
+    chunkSize: SCHEMA_CHUNK_SIZE,
+    ...SCHEMA_STATEMENT_LIMITS
+});
 // Regex patten for gt:123, lt:456
 const INEQUALITY_SIGNS = /^(gt|lt):([\d]+)$/;
+// Marks the SSL options whose certificate comes from a file, survives Sequelize cloning its config
+const CA_CERT_FILE = Symbol('caCertFile');
+// How long before an authentication token expires a new one is generated in ms
+const AUTH_TOKEN_REFRESH_MARGIN = 60000;
+// Dialects that only send authentication tokens with the cleartext password plugin
+const CLEARTEXT_AUTH_DIALECTS = ['mysql', 'mariadb'];
+// How long soft-deleted records are kept before purge() removes them in ms
+const SOFT_DELETE_RETENTION = 30 * 24 * 60 * 60 * 1000;
+// How long healthCheck() waits for the database in ms
+const HEALTH_CHECK_TIMEOUT = 5000;
+// How long close() waits for running operations in ms
+const CLOSE_TIMEOUT = 30000;
+// Rows fetched per query by scanIterator()
+const SCAN_BATCH_SIZE = 100;
+// Dialects whose upsert reports whether the row was inserted, others need a lookup first
+const UPSERT_REPORTS_CREATED = ['mysql', 'mariadb'];
+// How JSON fields that cannot be parsed are decoded
+const JSON_DECODE_MODES = ['strict', 'raw', 'null'];
+// How writes are validated against the model: reject unknown fields, or strip them
+const WRITE_VALIDATION_MODES = ['reject', 'strip'];
+// Dialects with a native JSON column type that can be queried by path
+const NATIVE_JSON_DIALECTS = ['mysql', 'postgres', 'sqlite'];
+// Transaction isolation levels each dialect actually honors
+const ISOLATION_LEVELS = {
+    mysql: ['READ UNCOMMITTED', 'READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'],
+    // Postgres runs READ UNCOMMITTED as READ COMMITTED
+    postgres: ['READ COMMITTED', 'REPEATABLE READ', 'SERIALIZABLE'],
+    sqlite: ['READ UNCOMMITTED', 'SERIALIZABLE']
+};
+
+/**
+ * Validate the config using the schema
+ * @method validate
+ * @param  {Object}  config Configuration
+ * @param  {Object}  schema Joi object used for validation
+ * @return {Promise}        Resolves to the validated config
+ */
+function validate(config, schema) {
+    const result = schema.validate(config);
+
+    if (result.error) {
+        return Promise.reject(result.error);
+    }
+
+    return Promise.resolve(config);
+}
+
+/**
+ * Build the error for a record that does not exist
+ * @method notFoundError
+ * @param  {String}        table Table name
+ * @param  {Number}        id    ID of the record
+ * @return {NotFoundError}
+ */
+function notFoundError(table, id) {
+    return new errors.NotFoundError(`Record ${id} not found in "${table}"`, { table, id });
+}
+
+/**
+ * Build the error for an operation started while the datastore is shutting down
+ * @method shutdownError
+ * @param  {Object}        context Properties describing the operation (eg: table, operation)
+ * @return {ShutdownError}
+ */
+function shutdownError(context) {
+    return new errors.ShutdownError('Datastore is shutting down', context);
+}
+
+/**
+ * Build the error for a table that is not defined by the models
+ * @method invalidTableError
+ * @param  {String}          table Table name
+ * @return {ValidationError}
+ */
+function invalidTableError(table) {
+    return new errors.ValidationError(`Invalid table name "${table}"`, { table });
+}
+
+/**
+ * Encode the position of the last row of a page into an opaque cursor
+ * @method encodeCursor
+ * @param  {Object} position            Position of the row
+ * @param  {String} position.sortKey    Field the scan is sorted by
+ * @param  {String} position.direction  ASC or DESC
+ * @param  {*}      position.value      Value of the sort field
+ * @param  {Number} position.id         ID of the row, breaks ties between equal values
+ * @return {String}                     Cursor
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by a previous scan
+ * @method decodeCursor
+ * @param  {String} cursor Cursor
+ * @return {Object}        Position of the row, or null when the cursor is not valid
+ */
+function decodeCursor(cursor) {
+    try {
+        const position = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+        return position && position.sortKey && position.id !== undefined ? position : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Parse a JSON field, handling values that are not valid JSON according to the decode mode
+ * @method parseJson
+ * @param  {String}  value                   Stored value
+ * @param  {Object}  options
+ * @param  {String}  [options.jsonDecodeMode] strict throws, raw keeps the string, null drops the value
+ * @param  {String}  [options.table]          Table name
+ * @param  {Number}  [options.id]             ID of the record
+ * @param  {String}  options.field            Field name
+ * @return {*}                                Parsed value
+ */
+function parseJson(value, { jsonDecodeMode, table, id, field }) {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        if (jsonDecodeMode === 'raw' || jsonDecodeMode === 'null') {
+            logger.warn('Could not decode JSON field', { table, id, field, error: err.message });
+
+            return jsonDecodeMode === 'raw' ? value : null;
+        }
+
+        throw new errors.DecodeError(
+            `Could not decode field "${field}" of record ${id} in "${table}": ${err.message}`,
+            {
+                table,
+                id,
+                field
+            }
+        );
+    }
+}
 
 /**
  * Converts data from the value stored in the datastore
@@ -20,9 +311,13 @@ const INEQUALITY_SIGNS = /^(gt|lt):([\d]+)$/;
  * @param  {String}          dialect Underlying system that we're reading from
  * @param  {SequelizeRow}    content Row that Sequelize returns to us
  * @param  {Object}          model   Screwdriver Data Schema about the Model
+ * @param  {Object}          [options]
+ * @param  {Boolean}         [options.nativeJson]     Array and object fields are stored in JSON columns
+ * @param  {String}          [options.jsonDecodeMode] How to handle JSON fields that cannot be parsed
+ * @param  {String}          [options.table]          Table name, reported when a field cannot be decoded
  * @return {Promise}                 Decoded Values (object)
  */
-function decodeFromDialect(dialect, content, model) {
+function decodeFromDialect(dialect, content, model, options = {}) {
     if (content === null) {
         return Promise.resolve(null);
     }
@@ -34,8 +329,12 @@ function decodeFromDialect(dialect, content, model) {
         const field = fields[fieldName] || {};
         const fieldType = field.type;
 
-        if (fieldType === 'array' || fieldType === 'object') {
-            decodedValues[fieldName] = JSON.parse(decodedValues[fieldName]);
+        if ((fieldType === 'array' || fieldType === 'object') && !options.nativeJson) {
+            decodedValues[fieldName] = parseJson(decodedValues[fieldName], {
+                ...options,
+                id: decodedValues.id,
+                field: fieldName
+            });
         }
 
         if (fieldType === 'boolean') {
@@ -62,9 +361,10 @@ function decodeFromDialect(dialect, content, model) {
  * @param  {String}          dialect Underlying system that we're writing to
  * @param  {Object}          content Field=>Value of the things to save
  * @param  {Object}          model   Screwdriver Data Schema about the Model
+ * @param  {Boolean}         [nativeJson] Array and object fields are stored in JSON columns
  * @return {Promise}                 Encoded Values (object)
  */
-function encodeToDialect(dialect, content, model) {
+function encodeToDialect(dialect, content, model, nativeJson) {
     const encodedKeys = Object.keys(content);
     const encodedValues = encodedKeys.map(keyName => content[keyName]);
 
@@ -82,7 +382,7 @@ function encodeToDialect(dialect, content, model) {
             const field = fields[fieldName] || {};
             const fieldType = field.type;
 
-            if (fieldType === 'array' || fieldType === 'object') {
+            if ((fieldType === 'array' || fieldType === 'object') && !nativeJson) {
                 encodedObject[fieldName] = JSON.stringify(encodedObject[fieldName]);
             }
         });
@@ -97,9 +397,10 @@ function encodeToDialect(dialect, content, model) {
  * @param  {String}          dialect Underlying system that we're writing to
  * @param  {String}          type    Joi type
  * @param  {Array}           rules   Joi rules array
+ * @param  {Boolean}         [nativeJson] Map arrays and objects to JSON columns
  * @return {SequelizeType}           Type to use in Sequelize
  */
-function getSequelizeTypeFromJoi(dialect, type, rules) {
+function getSequelizeTypeFromJoi(dialect, type, rules, nativeJson) {
     // Get the column length if length/max rule is included in dataschema
     let length;
     const column = rules.filter(o => o.name === 'length' || o.name === 'max');
@@ -112,6 +413,10 @@ function getSequelizeTypeFromJoi(dialect, type, rules) {
         }
     }
 
+    if (nativeJson && (type === 'array' || type === 'object')) {
+        return dialect === 'postgres' ? Sequelize.JSONB : Sequelize.JSON;
+    }
+
     switch (type) {
         case 'string':
             if (length) {
@@ -175,19 +480,167 @@ function isDefaultValueAllowed(dialect, fieldType) {
  * @param {Object} config.dialectOptions
  * @param {Object} [config.dialectOptions.ssl]
  * @param {Boolean} [config.dialectOptions.ssl.rejectUnauthorized]
+ * @return {String} Path of the certificate file, or null when the certificate was not read from a file
  */
 function configureSSL(config) {
     const sslOptions = config.dialectOptions.ssl;
 
     if (sslOptions.rejectUnauthorized !== true || !config.caCert) {
-        return;
+        return null;
     }
 
     if (fs.existsSync(config.caCert)) {
         config.dialectOptions.ssl.ca = fs.readFileSync(config.caCert, 'utf8');
-    } else {
-        config.dialectOptions.ssl.ca = config.caCert;
+
+        return config.caCert;
+    }
+
+    config.dialectOptions.ssl.ca = config.caCert;
+
+    return null;
+}
+
+/**
+ * Set ca from config.caCert, and remember the certificate file so new connections pick up a renewed certificate
+ * @method watchCertificate
+ * @param  {Map}    certificates File path => source of the certificate file
+ * @param  {Object} config       Connection config with dialectOptions.ssl and caCert, see configureSSL()
+ */
+function watchCertificate(certificates, config) {
+    const path = configureSSL(config);
+
+    if (path) {
+        config.dialectOptions.ssl[CA_CERT_FILE] = path;
+        if (!certificates.has(path)) {
+            certificates.set(path, fileSource(path));
+        }
+    }
+}
+
+/**
+ * Count the connections of a Sequelize pool
+ * @method countConnections
+ * @param  {Pool}   pool sequelize-pool Pool
+ * @return {Object}      { size, active, idle, waiting, min, max }
+ */
+function countConnections(pool) {
+    return {
+        size: pool.size,
+        active: pool.using,
+        idle: pool.available,
+        waiting: pool.waiting,
+        min: pool.minSize,
+        max: pool.maxSize
+    };
+}
+
+/**
+ * Build the connection config of a read replica. Replicas without their own dialectOptions share
+ * those of the primary, others get the CA certificate of the replica or of the primary
+ * @method replicaConfig
+ * @param  {Object} replica          Replica config (eg: host, port, username, password, dialectOptions)
+ * @param  {String} [replica.caCert] Raw certificate string or cert file path, defaults to caCert
+ * @param  {String} [caCert]         Raw certificate string or cert file path of the primary
+ * @param  {Map}    certificates     File path => source of the certificate file, see watchCertificate()
+ * @return {Object}                  Sequelize replication config
+ */
+function replicaConfig(replica, caCert, certificates) {
+    const { caCert: replicaCaCert, ...connection } = replica;
+
+    if (connection.dialectOptions && connection.dialectOptions.ssl) {
+        watchCertificate(certificates, { ...connection, caCert: replicaCaCert || caCert });
+    }
+
+    return connection;
+}
+
+/**
+ * Let MySQL send authentication tokens, which the server requests with the cleartext password plugin
+ * @method enableCleartextAuth
+ * @param  {Object} config Connection config, its dialectOptions are replaced
+ */
+function enableCleartextAuth(config) {
+    const dialectOptions = config.dialectOptions || {};
+
+    if (!dialectOptions.ssl) {
+        logger.warn('Authentication tokens are sent in cleartext without dialectOptions.ssl', { host: config.host });
+    }
+
+    config.dialectOptions = { enableCleartextPlugin: true, ...dialectOptions };
+}
+
+/**
+ * Validate the instrumentation hooks from the constructor config
+ * @method instrumentationHooks
+ * @param  {Object|Array} [instrumentation] Hooks object { onStart, onEnd }, or an array of them
+ * @return {Array}                          Hooks objects
+ */
+function instrumentationHooks(instrumentation = []) {
+    const hooks = [].concat(instrumentation);
+
+    hooks.forEach(hook => {
+        const valid =
+            hook &&
+            typeof hook === 'object' &&
+            ['onStart', 'onEnd'].every(name => hook[name] === undefined || typeof hook[name] === 'function');
+
+        if (!valid) {
+            throw new Error('Invalid instrumentation, expected objects with onStart and onEnd functions');
+        }
+    });
+
+    return hooks;
+}
+
+/**
+ * Call an instrumentation hook, a failing hook is logged and does not fail the operation
+ * @method callHook
+ * @param  {Object} hook Hooks object
+ * @param  {String} name onStart or onEnd
+ * @param  {Array}  args Arguments of the hook
+ * @return {*}           Value returned by the hook
+ */
+function callHook(hook, name, args) {
+    if (!hook[name]) {
+        return undefined;
+    }
+
+    try {
+        return hook[name](...args);
+    } catch (err) {
+        logger.warn('Datastore instrumentation hook failed', { hook: name, error: err.message });
+
+        return undefined;
+    }
+}
+
+/**
+ * Count the records an operation returned or wrote
+ * @method countRows
+ * @param  {String} operation Name of the operation, eg: get, scan
+ * @param  {*}      result    Result of the operation
+ * @return {Number}           Number of records, undefined for remove which does not report it
+ */
+function countRows(operation, result) {
+    if (operation === 'remove') {
+        return undefined;
+    }
+    if (result === null || result === undefined) {
+        return 0;
+    }
+    // bulkUpdate has null and bulkRemove false for ids that were not found
+    if (Array.isArray(result)) {
+        return result.filter(Boolean).length;
+    }
+    if (Array.isArray(result.rows)) {
+        return result.rows.length;
     }
+    // purge resolves to the number of records removed
+    if (typeof result === 'number') {
+        return result;
+    }
+
+    return 1;
 }
 
 class Squeakquel extends Datastore {
@@ -203,6 +656,36 @@ class Squeakquel extends Datastore {
      * @param  {String}  [config.dialectOptions]        Additional options, which are passed directly to the connection library
      * @param  {String}  [config.caCert]                Raw certificate string or cert file path
      * @param  {Integer} [config.slowlogThreshold=1000] Threshold for logging slowlogs in ms
+     * @param  {Object}  [config.slowlog]               Redaction, sampling and aggregation of slowlogs:
+     *                                                  { allowedColumns, sampleRate, interval }, see lib/slowlog
+     * @param  {Integer} [config.migrationLockTimeout]  How long to wait for the schema migration lock in ms
+     * @param  {Integer} [config.migrationLockExpiry]   How long a schema migration lock that is not refreshed
+     *                                                  is held before another process takes it over, in ms
+     * @param  {String}  [config.isolationLevel]        Default isolation level for transaction(), eg: READ COMMITTED
+     * @param  {Integer} [config.bulkChunkSize=500]     Rows per statement in bulkSave/bulkUpdate/bulkRemove
+     * @param  {Boolean} [config.nativeJson=false]      Store array and object fields in JSON (JSONB on postgres) columns
+     * @param  {String}  [config.jsonDecodeMode=strict] How to read JSON fields that cannot be parsed: strict rejects
+     *                                                  with DecodeError, raw returns the stored string, null drops it
+     * @param  {String}  [config.writeValidation]       Validate written fields against the model: reject or strip
+     *                                                  unknown fields. Invalid values are always rejected
+     * @param  {Object}  [config.retryPolicy]           Retry of deadlocks and lost connections:
+     *                                                  { maxAttempts, baseDelay, maxDelay, idempotent }, see lib/retry
+     * @param  {Array}   [config.readReplicas]          Connection configs (host, port, username, password, dialectOptions,
+     *                                                  caCert) of read replicas that get, scan and query read from
+     * @param  {*}       [config.credentials]           File with the credentials, re-read when it changes, or a function
+     *                                                  resolving to { username, password }, used for new connections
+     * @param  {Function} [config.authToken]            Token generator used as the password of new connections, called
+     *                                                  with { host, port, username, database } and resolving to
+     *                                                  { token, expiresAt }, eg: for IAM database authentication
+     * @param  {Integer} [config.authTokenRefreshMargin=60000] How long before expiresAt a new token is generated in ms
+     * @param  {Object|Array} [config.instrumentation]  Hooks { onStart(event), onEnd(event, started) } called around
+     *                                                  every operation, eg: for metrics and tracing
+     * @param  {Integer} [config.statementTimeout]      Default statement timeout in ms: statement_timeout on postgres,
+     *                                                  max_execution_time on mysql, interrupted statements on sqlite
+     * @param  {Object}  [config.cache]                 Read-through cache of get by id or unique keys:
+     *                                                  { backend, maxEntries, ttl, tables }, see lib/cache
+     * @param  {Object}  [config.softDelete]            Tables whose records remove() only marks as deleted, and how
+     *                                                  long purge() keeps them: { tables, retention }
      */
     constructor(config = {}) {
         super(config);
@@ -211,26 +694,136 @@ class Squeakquel extends Datastore {
 
         this.slowlogThreshold = config.slowlogThreshold || 1000;
 
+        this.slowlog = new SlowQueryLog(config.slowlog, config.dialect);
+        delete config.slowlog;
+
         config.benchmark = true;
         config.logging = (log, time) => {
             if (time >= this.slowlogThreshold) {
-                logger.info(`Slow log detected: ${log}, executed in ${time}ms`);
+                this.slowlog.record(log, time);
             }
         };
         this.prefix = config.prefix || '';
+        this.isolationLevel = config.isolationLevel;
+        this.bulkChunkSize = config.bulkChunkSize || 500;
+        this.jsonDecodeMode = config.jsonDecodeMode || 'strict';
+
+        if (!JSON_DECODE_MODES.includes(this.jsonDecodeMode)) {
+            throw new Error(`Invalid jsonDecodeMode "${this.jsonDecodeMode}", expected one of ${JSON_DECODE_MODES}`);
+        }
+
+        this.writeValidation = config.writeValidation;
+
+        if (this.writeValidation && !WRITE_VALIDATION_MODES.includes(this.writeValidation)) {
+            throw new Error(
+                `Invalid writeValidation "${this.writeValidation}", expected one of ${WRITE_VALIDATION_MODES}`
+            );
+        }
+
+        // Not passed as retry, which Sequelize uses for its own query retries
+        this.retryPolicy = retry.policy(config.retryPolicy);
+        this.instrumentation = instrumentationHooks(config.instrumentation);
+        delete config.instrumentation;
+
+        this.cache = config.cache ? new ReadThroughCache(config.cache, this.prefix) : null;
+        delete config.cache;
+
+        const softDelete = config.softDelete ? SCHEMA_SOFT_DELETE.validate(config.softDelete) : { value: {} };
+
+        if (softDelete.error) {
+            throw new Error(`Invalid softDelete: ${softDelete.error.message}`);
+        }
+        this.softDeleteTables = softDelete.value.tables || [];
+        this.softDeleteRetention =
+            softDelete.value.retention === undefined ? SOFT_DELETE_RETENTION : softDelete.value.retention;
+        delete config.softDelete;
 
         // It won't work if prefix is passed to Sequelize
         delete config.prefix;
 
         // SSL configure
+        this.certificates = new Map();
         if (config.dialectOptions && config.dialectOptions.ssl) {
-            configureSSL(config);
+            watchCertificate(this.certificates, config);
+        }
+
+        // Sequelize sends SELECTs outside transactions to the replicas and everything else to the primary
+        this.readReplicas = config.readReplicas || [];
+        if (this.readReplicas.length > 0) {
+            config.replication = {
+                read: this.readReplicas.map(replica => replicaConfig(replica, config.caCert, this.certificates)),
+                write: {}
+            };
+        }
+
+        if (config.credentials && !['string', 'function'].includes(typeof config.credentials)) {
+            throw new Error('Invalid credentials, expected a file path or a function');
+        }
+        if (config.authToken && typeof config.authToken !== 'function') {
+            throw new Error('Invalid authToken, expected a function');
+        }
+        if (config.authToken && config.credentials) {
+            throw new Error('Use either credentials or authToken');
+        }
+        this.credentials = null;
+        if (config.credentials) {
+            this.credentials = credentialSource(config.credentials);
+        } else if (config.authToken) {
+            this.credentials = tokenSource(
+                config.authToken,
+                config.authTokenRefreshMargin === undefined ? AUTH_TOKEN_REFRESH_MARGIN : config.authTokenRefreshMargin
+            );
+            if (CLEARTEXT_AUTH_DIALECTS.includes(config.dialect || 'mysql')) {
+                enableCleartextAuth(config);
+                // Replicas without their own dialectOptions share those of the primary
+                (config.replication ? config.replication.read : [])
+                    .filter(replica => replica.dialectOptions)
+                    .forEach(enableCleartextAuth);
+            }
         }
+        delete config.credentials;
+        delete config.authToken;
+        delete config.authTokenRefreshMargin;
+
+        this.statementTimeout = config.statementTimeout;
+        if (
+            this.statementTimeout !== undefined &&
+            !(Number.isInteger(this.statementTimeout) && this.statementTimeout > 0)
+        ) {
+            throw new Error(`Invalid statementTimeout "${this.statementTimeout}", expected a positive number of ms`);
+        }
+        delete config.statementTimeout;
 
         this.client = new Sequelize(config.database || 'screwdriver', config.username, config.password, config);
+        if (this.credentials || this.certificates.size > 0) {
+            this.client.addHook('beforeConnect', connectionConfig => this._beforeConnect(connectionConfig));
+        }
+        this.nativeJson = Boolean(config.nativeJson) && NATIVE_JSON_DIALECTS.includes(this.client.getDialect());
+
+        const dialect = this.client.getDialect();
+
+        if (this.statementTimeout && !StatementLimits.isSupported(dialect)) {
+            throw new Error(`statementTimeout is not supported on ${dialect}`);
+        }
+        if (StatementLimits.isSupported(dialect)) {
+            if (this.statementTimeout && StatementLimits.hasSessionTimeout(dialect)) {
+                this.client.addHook('afterConnect', connection =>
+                    setSessionTimeout(dialect, connection, this.statementTimeout)
+                );
+            }
+            // Queries of operations with a timeout or a signal carry their limits, see _executeLimited()
+            this.client.addHook('beforeQuery', (options, query) =>
+                options.statementLimits ? options.statementLimits.before(query) : undefined
+            );
+            this.client.addHook('afterQuery', (options, query) =>
+                options.statementLimits ? options.statementLimits.after(query) : undefined
+            );
+        }
 
         this.tables = {};
         this.models = {};
+        // Shared with transaction handles, which inherit from this instance
+        this.lifecycle = { running: 0, closing: false, closed: null, onDrained: [] };
 
         MODEL_NAMES.forEach(modelName => {
             const table = this._defineTable(modelName);
@@ -239,6 +832,14 @@ class Squeakquel extends Datastore {
             this.tables[model.tableName] = table;
             this.models[model.tableName] = model;
         });
+
+        this.migrator = new Migrator({
+            client: this.client,
+            tables: this.tables,
+            prefix: this.prefix,
+            lockTimeout: config.migrationLockTimeout,
+            lockExpiry: config.migrationLockExpiry
+        });
     }
 
     /**
@@ -258,6 +859,17 @@ class Squeakquel extends Datastore {
             indexes: schema.indexes
         };
 
+        // Sequelize adds the deletedAt column, sets it on destroy and hides the records where it is set
+        if (this.softDeleteTables.includes(schema.tableName)) {
+            Object.assign(tableOptions, {
+                timestamps: true,
+                createdAt: false,
+                updatedAt: false,
+                paranoid: true,
+                deletedAt: 'deletedAt'
+            });
+        }
+
         Object.keys(fields).forEach(fieldName => {
             const field = fields[fieldName].describe();
 
@@ -272,8 +884,9 @@ class Squeakquel extends Datastore {
                 rules = field.rules;
             }
 
+            const isJsonColumn = this.nativeJson && (field.type === 'array' || field.type === 'object');
             const output = {
-                type: getSequelizeTypeFromJoi(this.client.getDialect(), field.type, rules || [])
+                type: getSequelizeTypeFromJoi(this.client.getDialect(), field.type, rules || [], this.nativeJson)
             };
 
             if (fieldName === 'id') {
@@ -292,7 +905,9 @@ class Squeakquel extends Datastore {
                 if (defaultValue !== undefined && defaultValue !== null) {
                     if (isDefaultValueAllowed(this.config.dialect, output.type)) {
                         output.defaultValue =
-                            typeof defaultValue === 'object' ? JSON.stringify(defaultValue) : defaultValue;
+                            typeof defaultValue === 'object' && !isJsonColumn
+                                ? JSON.stringify(defaultValue)
+                                : defaultValue;
                     } else {
                         logger.warn(
                             `DB schema violation (Default value is not allowed): model=${
@@ -317,157 +932,1399 @@ class Squeakquel extends Datastore {
     }
 
     /**
-     * Database schema will be synced based on syncViaAPI environment variable
+     * Database schema will be migrated based on syncViaAPI environment variable
      * @method setup
+     * @param  {String}  ddlSyncEnabled 'true' to apply pending schema migrations
      * @return {Promise}
      */
     setup(ddlSyncEnabled) {
         logger.info(`Datastore ddl sync enabled: ${ddlSyncEnabled}`);
         if (ddlSyncEnabled === 'true') {
-            return this.client.sync({ alter: true });
+            return this.migrate();
         }
 
         return Promise.resolve();
     }
 
     /**
-     * Obtain an item from the table by primary key
-     * @param  {Object}   config             Configuration object
-     * @param  {String}   config.table       Name of the table to interact with
-     * @param  {Object}   config.params      Record Data
-     * @param  {String}   [config.params.id] ID of the entry to fetch
-     * @return {Promise}                     Resolves to the record found from datastore
+     * Apply pending schema changes as a new versioned migration
+     * @method migrate
+     * @return {Promise} Resolves to the applied migration, or null when the schema is up to date
      */
-    _get(config) {
-        const table = this.tables[config.table];
-        const model = this.models[config.table];
-        let finder;
+    migrate() {
+        return this.migrator.migrate();
+    }
 
-        if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
-        }
+    /**
+     * List the statements setup('true') would run for every model table, without running them.
+     * Changes that may lose data or fail on existing rows are flagged per table.
+     * @method planMigration
+     * @return {Promise} Resolves to { version, name, tables: { [table]: { statements, destructive } } }
+     */
+    planMigration() {
+        return this.migrator.preview();
+    }
 
-        if (config.params.id === undefined) {
-            finder = table.findOne({
-                where: config.params
-            });
-        } else {
-            finder = table.findByPk(config.params.id);
-        }
+    /**
+     * Revert the most recently applied schema migration
+     * @method rollbackMigration
+     * @return {Promise} Resolves to the reverted migration, or null when none was applied
+     */
+    rollbackMigration() {
+        return this.migrator.rollback();
+    }
+
+    /**
+     * Check that the database answers, with a cheap version query on the primary
+     * @method healthCheck
+     * @param  {Object}  [options]           Health check options
+     * @param  {Number}  [options.timeout]   How long to wait for the database in ms, defaults to 5000
+     * @return {Promise}                     Resolves to { healthy, dialect, version, latency, pool }, with the
+     *                                       error instead of the version when the database did not answer
+     */
+    healthCheck(options = {}) {
+        const dialect = this.client.getDialect();
 
-        return finder.then(item => decodeFromDialect(this.client.getDialect(), item, model));
+        return validate(options, SCHEMA_HEALTH_CHECK)
+            .catch(err => {
+                throw errors.normalizeError(err, { operation: 'healthCheck' });
+            })
+            .then(() => {
+                if (this.lifecycle.closing) {
+                    const error = shutdownError({ operation: 'healthCheck' });
+
+                    return {
+                        healthy: false,
+                        dialect,
+                        error: `${error.name}: ${error.message}`,
+                        latency: 0,
+                        pool: this.poolStats()
+                    };
+                }
+
+                const timeout = options.timeout || HEALTH_CHECK_TIMEOUT;
+                const start = Date.now();
+                let timer;
+
+                const timedOut = new Promise((resolve, reject) => {
+                    timer = setTimeout(
+                        () => reject(new errors.TimeoutError(`Health check timed out after ${timeout}ms`)),
+                        timeout
+                    );
+                });
+
+                return Promise.race([this.client.databaseVersion(), timedOut])
+                    .then(version => ({ healthy: true, dialect, version, latency: Date.now() - start }))
+                    .catch(err => {
+                        const error = errors.normalizeError(err, { operation: 'healthCheck' });
+
+                        return {
+                            healthy: false,
+                            dialect,
+                            error: `${error.name}: ${error.message}`,
+                            latency: Date.now() - start
+                        };
+                    })
+                    .then(report => {
+                        clearTimeout(timer);
+
+                        return { ...report, pool: this.poolStats() };
+                    });
+            });
     }
 
     /**
-     * Save a item in the specified table
-     * @param  {Object}   config             Configuration object
-     * @param  {String}   config.table       Table name
-     * @param  {Object}   config.params      Record data
-     * @return {Promise}                     Resolves to the record that was saved
+     * Count the connections of the pool. With read replicas, the counts of the primary (write)
+     * and replica (read) pools are added up and also listed separately.
+     * @method poolStats
+     * @return {Object} { size, active, idle, waiting, min, max }
      */
-    _save(config) {
-        const userData = config.params;
-        const table = this.tables[config.table];
-        const model = this.models[config.table];
+    poolStats() {
+        const { pool } = this.client.connectionManager;
 
-        if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
+        if (!pool.read) {
+            return countConnections(pool);
         }
 
-        return encodeToDialect(this.client.getDialect(), userData, model)
-            .then(item => table.create(item))
-            .then(row =>
-                row.get({
-                    plain: true
-                })
-            );
+        const read = countConnections(pool.read);
+        const write = countConnections(pool.write);
+        const total = {};
+
+        Object.keys(read).forEach(key => {
+            total[key] = read[key] + write[key];
+        });
+
+        return { ...total, read, write };
     }
 
     /**
-     * Remove an item from the table by primary key
-     * @param  {Object}   config             Configuration object
-     * @param  {String}   config.table       Name of the table to interact with
-     * @param  {Object}   config.params      Record Data
-     * @param  {String}   config.params.id   ID of the entry to remove
-     * @return {Promise}                     Resolves to null if remove successfully
+     * Run operations as a single unit. The callback receives a handle exposing the same
+     * get/save/update/remove/scan/query methods, all bound to one Sequelize transaction.
+     * The transaction commits when the returned promise resolves and rolls back when it rejects.
+     * Calling transaction() on a handle reuses the transaction it is bound to.
+     * @method transaction
+     * @param  {Function} callback                   Called with the transaction handle, returns a Promise
+     * @param  {Object}   [options]                  Transaction options
+     * @param  {String}   [options.isolationLevel]   Isolation level, eg: READ COMMITTED, SERIALIZABLE
+     * @return {Promise}                             Resolves to the result of the callback
      */
-    _remove(config) {
-        const table = this.tables[config.table];
-
-        if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
+    transaction(callback, options = {}) {
+        if (this.lifecycle.closing && !this.sequelizeTransaction) {
+            return Promise.reject(shutdownError({ operation: 'transaction' }));
         }
 
-        return table
-            .destroy({
-                where: {
-                    id: config.params.id
-                }
-            })
-            .then(() => null);
+        return this._transaction(handle => callback(handle), options);
     }
 
     /**
-     * Update a record in the datastore
-     * @param  {Object}   config             Configuration object
-     * @param  {String}   config.table       Table name
-     * @param  {Object}   config.params      Record data
-     * @param  {String}   config.params.id   Unique id. Typically the desired primary key
-     * @return {Promise}                     Resolves to the record that was updated
+     * Run operations in a transaction, also while closing, so operations that started before close()
+     * and use a transaction of their own, eg: upsert, can finish
+     * @method _transaction
+     * @param  {Function} callback                 Called with the transaction handle and its _queryOptions(),
+     *                                             returns a Promise
+     * @param  {Object}   [options]                Transaction options
+     * @param  {String}   [options.isolationLevel] Isolation level, eg: READ COMMITTED, SERIALIZABLE
+     * @param  {String}   [options.type]           Transaction type, eg: IMMEDIATE on SQLite
+     * @return {Promise}                           Resolves to the result of the callback
      */
-    _update(config) {
-        const { id } = config.params;
-        const userData = config.params;
-        const table = this.tables[config.table];
-        const model = this.models[config.table];
+    _transaction(callback, options = {}) {
+        if (this.sequelizeTransaction) {
+            return Promise.resolve().then(() => callback(this, this._queryOptions.bind(this)));
+        }
 
-        if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
+        const dialect = this.client.getDialect();
+        const isolationLevel = options.isolationLevel || this.isolationLevel;
+
+        if (isolationLevel && ISOLATION_LEVELS[dialect] && !ISOLATION_LEVELS[dialect].includes(isolationLevel)) {
+            return Promise.reject(
+                new errors.ValidationError(`Isolation level "${isolationLevel}" is not supported by ${dialect}`)
+            );
         }
 
-        return encodeToDialect(this.client.getDialect(), userData, model)
-            .then(item =>
-                table.update(item, {
-                    where: { id }
+        return this._track(
+            this.client
+                .transaction(
+                    options.type ? { isolationLevel, type: options.type } : { isolationLevel },
+                    sequelizeTransaction => {
+                        const handle = Object.create(this, { sequelizeTransaction: { value: sequelizeTransaction } });
+
+                        return callback(handle, this._queryOptions.bind(handle));
+                    }
+                )
+                .catch(err => {
+                    // Errors of the callback's own making are passed on as they are, database failures are normalized
+                    if (!/^Sequelize/.test(err.name)) {
+                        throw err;
+                    }
+
+                    const normalized = errors.normalizeError(err);
+
+                    this._refreshCredentials(normalized);
+                    throw normalized;
                 })
-            )
-            .then(() => userData);
+        );
     }
 
     /**
-     * Returns whether the field is a valid field in the table model or not
-     * @param  {Array}      validFields List of valid fields
-     * @param  {String}     field       Field to check
-     * @return {Boolean}                Returns true if field is invalid
+     * Count an operation as running until its promise settles, so close() can wait for it
+     * @method _track
+     * @param  {Promise} operation Promise of the operation
+     * @return {Promise}           Settles like the operation
      */
-    _fieldInvalid({ validFields, field }) {
-        return !validFields.includes(field);
+    _track(operation) {
+        const { lifecycle } = this;
+        const done = () => {
+            lifecycle.running -= 1;
+            if (lifecycle.running === 0) {
+                lifecycle.onDrained.splice(0).forEach(resolve => resolve());
+            }
+        };
+
+        lifecycle.running += 1;
+
+        return operation.then(
+            result => {
+                done();
+
+                return result;
+            },
+            err => {
+                done();
+                throw err;
+            }
+        );
     }
 
     /**
-     * Scan records in the datastore
-     * @method scan
-     * @param  {Object}         config                    Configuration object
-     * @param  {Array<String>}  [config.exclude]          Attribute(s) to discard
-     * @param  {Array<String>}  [config.groupBy]          Attribute(s) to group rows by
-     * @param  {String}         [config.table]            Table name
-     * @param  {Object}         [config.paginate]         Pagination parameters
-     * @param  {Number}         [config.paginate.count]   Number of items per page
-     * @param  {Number}         [config.paginate.page]    Specific page of the set to return
-     * @param  {Boolean}        [config.getCount]         Get total count of record matching query criteria
-     * @param  {Object}         [config.params]           index => values to query on
-     * @param  {String}         [config.params.distinct]  Field to return distinct rows on
-     * @param  {Object}         [config.search]           Search parameters
-     * @param  {String|Array}   [config.search.field]     Search field (eg: jobName)
-     * @param  {String|Array}   [config.search.keyword]   Search keyword (eg: main)
-     * @param  {String}         [config.sort]             Sorting option based on GSI range key. Ascending or descending.
-     * @param  {String}         [config.sortBy]           Key to sort by; defaults to 'id'
-     * @param  {String}         [config.startTime]        Search for records >= startTime
-     * @param  {String}         [config.endTime]          Search for records <= endTime
-     * @param  {String}         [config.aggregationField] Field that will be aggregated in aggregation query
-     * @return {Promise}                                  Resolves to an array of records or an object
+     * Stop accepting new operations, wait up to the timeout for running operations and transactions
+     * to finish, then close the connection pool. Operations of transactions that are still open are allowed.
+     * @method close
+     * @param  {Object}  [options]          Close options
+     * @param  {Number}  [options.timeout]  How long to wait for running operations in ms, defaults to 30000
+     * @return {Promise}                    Resolves once the pool is closed, rejects with TimeoutError when
+     *                                      operations are still running at the deadline. The pool is closed
+     *                                      at the deadline anyway, so their next statements fail
      */
-    _scan(config) {
+    close(options = {}) {
+        const { lifecycle } = this;
+
+        if (lifecycle.closed) {
+            return lifecycle.closed;
+        }
+
+        const { error } = SCHEMA_CLOSE.validate(options);
+
+        if (error) {
+            return Promise.reject(errors.normalizeError(error, { operation: 'close' }));
+        }
+
+        const timeout = options.timeout || CLOSE_TIMEOUT;
+        let timer;
+
+        lifecycle.closing = true;
+        lifecycle.closed = Promise.race([
+            lifecycle.running === 0
+                ? Promise.resolve(true)
+                : new Promise(resolve => {
+                      lifecycle.onDrained.push(() => resolve(true));
+                  }),
+            new Promise(resolve => {
+                timer = setTimeout(() => resolve(false), timeout);
+            })
+        ]).then(drained => {
+            const { running } = lifecycle;
+            const closing = this.client.close();
+
+            this.slowlog.stop();
+
+            clearTimeout(timer);
+            if (drained) {
+                return closing;
+            }
+
+            closing.catch(err => logger.error('Failed to close the datastore connections', err));
+            logger.warn(`Closing the datastore with ${running} operation(s) still running after ${timeout}ms`);
+
+            throw new errors.TimeoutError(`${running} operation(s) still running after ${timeout}ms`, {
+                operation: 'close',
+                running
+            });
+        });
+
+        return lifecycle.closed;
+    }
+
+    /**
+     * Run a datastore operation, normalizing its failures into the errors of lib/errors
+     * so callers can handle them the same way on every dialect. Transient failures are retried
+     * according to the retry policy, except inside a transaction, which the database has aborted.
+     * @method _execute
+     * @param  {String}   operation Name of the operation, eg: get, scan
+     * @param  {Object}   config    Configuration object of the operation
+     * @param  {Function} fn        Runs the operation, returns a Promise
+     * @return {Promise}            Resolves to the result of the operation
+     */
+    _execute(operation, config, fn) {
+        const { table, expected, timeout, signal } = config || {};
+        const { maxAttempts, idempotent } = this.retryPolicy;
+
+        if (this.lifecycle.closing && !this.sequelizeTransaction) {
+            return Promise.reject(shutdownError({ table, operation }));
+        }
+        if (
+            !this.statementLimits &&
+            (timeout ||
+                signal ||
+                (this.statementTimeout && !StatementLimits.hasSessionTimeout(this.client.getDialect())))
+        ) {
+            return this._executeLimited(operation, config);
+        }
+
+        // A retried conditional update would conflict with its own first attempt
+        const canRepeat = idempotent[operation] && !expected;
+
+        const instrumented = this._instrumentStart({
+            table,
+            operation,
+            dialect: this.client.getDialect(),
+            inTransaction: Boolean(this.sequelizeTransaction)
+        });
+        let refreshed = false;
+        let attempts = 0;
+
+        const attempt = number => {
+            attempts = number;
+
+            return Promise.resolve()
+                .then(fn)
+                .catch(err => {
+                    let normalized = errors.normalizeError(err, { table, operation });
+
+                    if (this.statementLimits) {
+                        normalized = this.statementLimits.normalizeError(normalized);
+                    }
+
+                    // Try once more with fresh credentials, a rotated password fails before anything is sent
+                    if (!refreshed && this._refreshCredentials(normalized)) {
+                        refreshed = true;
+
+                        return attempt(number);
+                    }
+                    if (
+                        number >= maxAttempts ||
+                        this.sequelizeTransaction ||
+                        !retry.isRetryable(normalized, canRepeat)
+                    ) {
+                        throw normalized;
+                    }
+
+                    const delay = retry.backoffDelay(number, this.retryPolicy);
+
+                    logger.warn('Retrying datastore operation', {
+                        table,
+                        operation,
+                        attempt: number,
+                        delay,
+                        error: `${normalized.name}: ${normalized.message}`
+                    });
+
+                    return sleep(delay).then(() => attempt(number + 1));
+                });
+        };
+
+        return this._track(
+            attempt(1).then(
+                result => {
+                    instrumented.end({ attempts, rowCount: countRows(operation, result), errorClass: null });
+
+                    return result;
+                },
+                err => {
+                    instrumented.end({ attempts, errorClass: err.name, error: err });
+                    throw err;
+                }
+            )
+        );
+    }
+
+    /**
+     * Run an operation whose statements are limited by a timeout or cancelled through a signal. It runs on
+     * a handle inheriting from this instance, like the handles of transaction(), whose queries carry the limits
+     * @method _executeLimited
+     * @param  {String}      operation        Name of the operation, eg: get, scan
+     * @param  {Object}      config           Configuration object of the operation
+     * @param  {Number}      [config.timeout] Statement timeout in ms, defaults to statementTimeout
+     * @param  {AbortSignal} [config.signal]  Cancels the running statement when aborted
+     * @return {Promise}                      Resolves to the result of the operation, rejects with
+     *                                        StatementTimeoutError or CancelledError when the limits are hit
+     */
+    _executeLimited(operation, config) {
+        const { table, timeout, signal } = config;
+        const dialect = this.client.getDialect();
+        const { error } = Joi.object(SCHEMA_STATEMENT_LIMITS).validate({ timeout, signal });
+
+        if (error) {
+            return Promise.reject(errors.normalizeError(error, { table, operation }));
+        }
+        if (!StatementLimits.isSupported(dialect)) {
+            return Promise.reject(
+                new errors.ValidationError(`Statement timeouts and cancellation are not supported on ${dialect}`, {
+                    table,
+                    operation
+                })
+            );
+        }
+
+        const limits = new StatementLimits(
+            { timeout: timeout || this.statementTimeout, signal },
+            { dialect, sessionTimeout: this.statementTimeout, query: sql => this.client.query(sql) }
+        );
+
+        if (signal && signal.aborted) {
+            limits.dispose();
+
+            return Promise.reject(Object.assign(limits.cancelledError(), { table, operation }));
+        }
+
+        return Object.create(this, { statementLimits: { value: limits } })
+            [operation](config)
+            .then(
+                result => {
+                    limits.dispose();
+
+                    return result;
+                },
+                err => {
+                    limits.dispose();
+                    throw err;
+                }
+            );
+    }
+
+    /**
+     * Call the onStart instrumentation hooks of an operation
+     * @method _instrumentStart
+     * @param  {Object} event { table, operation, dialect, inTransaction }
+     * @return {Object}       { end(fields) }: calls the onEnd hooks with the event, its duration in ms
+     *                        and the fields, along with what the onStart hook returned
+     */
+    _instrumentStart(event) {
+        const hooks = this.instrumentation;
+
+        if (hooks.length === 0) {
+            return { end: () => {} };
+        }
+
+        const start = performance.now();
+        // Called synchronously, so tracers see the context of the caller, eg: to create child spans
+        const started = hooks.map(hook => callHook(hook, 'onStart', [{ ...event }]));
+
+        return {
+            end(fields) {
+                const ended = { ...event, duration: performance.now() - start, ...fields };
+
+                hooks.forEach((hook, index) => callHook(hook, 'onEnd', [{ ...ended }, started[index]]));
+            }
+        };
+    }
+
+    /**
+     * Obtain an item from the table
+     * @method get
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Name of the table to interact with
+     * @param  {Object}   config.params      Record Data
+     * @param  {Boolean}  [config.usePrimary] Read from the primary instead of a read replica
+     * @param  {Boolean}  [config.includeDeleted] Also find soft-deleted records
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to the record found from datastore
+     */
+    get(config) {
+        return this._execute('get', config, () =>
+            validate(config, SCHEMA_GET).then(validConfig => this._get(validConfig))
+        );
+    }
+
+    /**
+     * Save an item in the specified table
+     * @method save
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to the record that was saved
+     */
+    save(config) {
+        return this._execute('save', config, () =>
+            validate(config, SCHEMA_SAVE).then(validConfig => this._save(validConfig))
+        );
+    }
+
+    /**
+     * Remove an item from the specified table. On tables with soft deletes, the record is only marked as deleted
+     * @method remove
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to null if remove successfully
+     */
+    remove(config) {
+        return this._execute('remove', config, () =>
+            validate(config, SCHEMA_REMOVE).then(validConfig => this._remove(validConfig))
+        );
+    }
+
+    /**
+     * Restore a soft-deleted record
+     * @method restore
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name, with soft deletes
+     * @param  {Object}   config.params      Record data
+     * @param  {Number}   config.params.id   ID of the record to restore
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to the restored record, rejects with NotFoundError
+     *                                       when it does not exist
+     */
+    restore(config) {
+        return this._execute('restore', config, () =>
+            validate(config, SCHEMA_RESTORE).then(validConfig => this._restore(validConfig))
+        );
+    }
+
+    /**
+     * Permanently remove the records soft-deleted before the retention window
+     * @method purge
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name, with soft deletes
+     * @param  {Number}   [config.retention] How long deleted records are kept in ms, overrides softDelete.retention
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to the number of records removed
+     */
+    purge(config) {
+        return this._execute('purge', config, () =>
+            validate(config, SCHEMA_PURGE).then(validConfig => this._purge(validConfig))
+        );
+    }
+
+    /**
+     * Run the query matching the dialect of the database
+     * @method query
+     * @param  {Object}        config                Configuration object
+     * @param  {Array<Object>} [config.queries]      Map of database type to query
+     * @param  {String}        [config.table]        Table name
+     * @param  {Object}        [config.replacements] Parameters to replace in the query
+     * @param  {Boolean}       [config.usePrimary]   Read from the primary instead of a read replica
+     * @param  {Number}        [config.timeout]      Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal}   [config.signal]       Cancels the running statement when aborted
+     * @return {Promise}                             Resolves to the query results
+     */
+    query(config) {
+        return this._execute('query', config, () =>
+            validate(config, SCHEMA_QUERY).then(validConfig => this._query(validConfig))
+        );
+    }
+
+    /**
+     * Apply the current credentials and CA certificate to a connection about to be opened
+     * @method _beforeConnect
+     * @param  {Object}  connectionConfig Sequelize connection config, changed in place
+     * @return {Promise}
+     */
+    _beforeConnect(connectionConfig) {
+        const ssl = connectionConfig.dialectOptions && connectionConfig.dialectOptions.ssl;
+        const certificate = ssl && this.certificates.get(ssl[CA_CERT_FILE]);
+
+        return Promise.all([
+            this.credentials && this.credentials.get(connectionConfig),
+            certificate && certificate.get()
+        ]).then(([credentials, ca]) => {
+            if (credentials) {
+                ['username', 'password'].forEach(key => {
+                    if (credentials[key] !== undefined) {
+                        connectionConfig[key] = credentials[key];
+                    }
+                });
+            }
+            if (ca) {
+                ssl.ca = ca;
+            }
+        });
+    }
+
+    /**
+     * Drop the cached credentials when the database rejected them, so the next connection reads them again
+     * @method _refreshCredentials
+     * @param  {DatastoreError} err Normalized error
+     * @return {Boolean}            Whether the credentials were refreshed
+     */
+    _refreshCredentials(err) {
+        if (!this.credentials || !(err instanceof errors.AuthenticationError)) {
+            return false;
+        }
+
+        logger.warn('Refreshing database credentials after an authentication failure', { error: err.message });
+        this.credentials.refresh();
+
+        return true;
+    }
+
+    /**
+     * Add the current transaction and statement limits, if any, to the options of a Sequelize call,
+     * and route reads to the primary when asked to
+     * @method _queryOptions
+     * @param  {Object}  [options]            Sequelize query options
+     * @param  {Object}  [routing]
+     * @param  {Boolean} [routing.usePrimary] Read from the primary instead of a replica
+     * @return {Object}                       Sequelize query options
+     */
+    _queryOptions(options = {}, { usePrimary } = {}) {
+        const limits = this.statementLimits;
+        const queryOptions = { ...options };
+
+        // Statements are cancelled through a connection to the primary, so they have to run there
+        if ((usePrimary || (limits && limits.signal)) && this.readReplicas.length > 0) {
+            queryOptions.useMaster = true;
+        }
+        if (limits) {
+            queryOptions.statementLimits = limits;
+        }
+        if (this.sequelizeTransaction) {
+            queryOptions.transaction = this.sequelizeTransaction;
+        }
+
+        return queryOptions;
+    }
+
+    /**
+     * Remove written records from the cache, if any. In a transaction they are removed again once it
+     * commits, since other readers can cache the committed records until then
+     * @method _invalidate
+     * @param  {String}  table Table name
+     * @param  {Array}   ids   Primary keys of the written records
+     * @return {Promise}       Resolves once the records are removed, never rejects
+     */
+    _invalidate(table, ids) {
+        if (!this.cache || ids.length === 0) {
+            return Promise.resolve();
+        }
+        if (this.sequelizeTransaction) {
+            this.sequelizeTransaction.afterCommit(() => this.cache.invalidate(table, ids));
+        }
+
+        return this.cache.invalidate(table, ids);
+    }
+
+    /**
+     * Options decodeFromDialect() needs to decode records of a table
+     * @method _decodeOptions
+     * @param  {String} table Table name
+     * @return {Object}       { nativeJson, jsonDecodeMode, table }
+     */
+    _decodeOptions(table) {
+        return { nativeJson: this.nativeJson, jsonDecodeMode: this.jsonDecodeMode, table };
+    }
+
+    /**
+     * Validate the fields of a record before it is written, according to writeValidation.
+     * Null clears a field and is accepted unless the field is required.
+     * @method _validateWrite
+     * @param  {String}  tableName  Table name
+     * @param  {Object}  content    Field=>Value of the things to save, values may be promises
+     * @param  {Number}  [index]    Position of the record in a bulk write, added to the error details
+     * @return {Promise}            Resolves to the record without unknown fields in strip mode,
+     *                              rejects with ValidationError listing every offending field
+     */
+    _validateWrite(tableName, content, index) {
+        if (!this.writeValidation) {
+            return Promise.resolve(content);
+        }
+
+        const fieldNames = Object.keys(content);
+        const { fields } = this.models[tableName];
+
+        return Promise.all(fieldNames.map(fieldName => content[fieldName])).then(values => {
+            const validContent = {};
+            const details = [];
+
+            fieldNames.forEach((fieldName, i) => {
+                const field = fields[fieldName];
+                let message;
+
+                if (!field) {
+                    message = this.writeValidation === 'reject' ? 'is not allowed' : null;
+                } else if (values[i] === null) {
+                    message = (field.describe().flags || {}).presence === 'required' ? 'is required' : null;
+                } else {
+                    const result = field.validate(values[i], { errors: { label: false } });
+
+                    message = result.error ? result.error.message : null;
+                }
+
+                if (message) {
+                    details.push({
+                        ...(index === undefined ? {} : { index }),
+                        field: fieldName,
+                        message: `"${fieldName}" ${message}`
+                    });
+                } else if (field) {
+                    validContent[fieldName] = values[i];
+                }
+            });
+
+            if (details.length > 0) {
+                throw new errors.ValidationError(
+                    `Invalid record for "${tableName}": ${details.map(detail => detail.message).join(', ')}`,
+                    { table: tableName, details }
+                );
+            }
+
+            return validContent;
+        });
+    }
+
+    /**
+     * Obtain an item from the table by primary key
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Name of the table to interact with
+     * @param  {Object}   config.params      Record Data
+     * @param  {String}   [config.params.id] ID of the entry to fetch
+     * @param  {Boolean}  [config.usePrimary] Read from the primary instead of a read replica
+     * @param  {Boolean}  [config.includeDeleted] Also find soft-deleted records
+     * @return {Promise}                     Resolves to the record found from datastore
+     */
+    _get(config) {
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        // Soft-deleted records are hidden unless asked for
+        const paranoid = config.includeDeleted ? { paranoid: false } : {};
+        const load = routing => {
+            let finder;
+
+            if (config.params.id === undefined) {
+                finder = table.findOne(
+                    this._queryOptions(
+                        {
+                            where: config.params,
+                            ...paranoid
+                        },
+                        routing
+                    )
+                );
+            } else {
+                finder = table.findByPk(config.params.id, this._queryOptions(paranoid, routing));
+            }
+
+            return finder.then(item =>
+                decodeFromDialect(this.client.getDialect(), item, model, this._decodeOptions(config.table))
+            );
+        };
+
+        // Transactions read their own writes, usePrimary asks for the latest committed record,
+        // and only records that are not deleted are cached
+        if (
+            !this.cache ||
+            this.sequelizeTransaction ||
+            config.usePrimary ||
+            config.includeDeleted ||
+            !this.cache.isCached(config.table, config.params, model.keys || [])
+        ) {
+            return load(config);
+        }
+
+        // Misses are read from the primary, so a replica lagging behind a write cannot fill the cache
+        // with the record as it was before, which would then be served until the TTL expires
+        return this.cache.read(config.table, config.params, model.keys || [], () => load({ usePrimary: true }));
+    }
+
+    /**
+     * Save a item in the specified table
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @return {Promise}                     Resolves to the record that was saved
+     */
+    _save(config) {
+        const userData = config.params;
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        return this._validateWrite(config.table, userData)
+            .then(content => encodeToDialect(this.client.getDialect(), content, model, this.nativeJson))
+            .then(item =>
+                table
+                    .create(item, this._queryOptions())
+                    .catch(err => this._deletedConflictError(config.table, [item], err))
+            )
+            .then(row => {
+                const record = row.get({
+                    plain: true
+                });
+
+                return this._invalidate(config.table, [record.id]).then(() => record);
+            });
+    }
+
+    /**
+     * Remove an item from the table by primary key
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Name of the table to interact with
+     * @param  {Object}   config.params      Record Data
+     * @param  {String}   config.params.id   ID of the entry to remove
+     * @return {Promise}                     Resolves to null if remove successfully
+     */
+    _remove(config) {
+        const table = this.tables[config.table];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        return table
+            .destroy(
+                this._queryOptions({
+                    where: {
+                        id: config.params.id
+                    }
+                })
+            )
+            .then(() => this._invalidate(config.table, [config.params.id]))
+            .then(() => null);
+    }
+
+    /**
+     * Sequelize table of a table with soft deletes, for restore() and purge()
+     * @method _softDeleteTable
+     * @param  {String}  tableName Table name
+     * @return {Promise}           Resolves to the Sequelize table, rejects with ValidationError
+     *                             when the table does not use soft deletes
+     */
+    _softDeleteTable(tableName) {
+        const table = this.tables[tableName];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(tableName));
+        }
+        if (!this.softDeleteTables.includes(tableName)) {
+            return Promise.reject(
+                new errors.ValidationError(`Table "${tableName}" does not use soft deletes`, { table: tableName })
+            );
+        }
+
+        return Promise.resolve(table);
+    }
+
+    /**
+     * Tell when saving failed on the unique keys of soft-deleted records, which keep them until they are
+     * purged, so callers know to restore or purge them
+     * @method _deletedConflictError
+     * @param  {String}        tableName Table name
+     * @param  {Array<Object>} items     Records that failed to save
+     * @param  {Error}         err       Error of the save
+     * @return {Promise}                 Rejects with UniqueViolationError listing the conflicting deleted
+     *                                   records in deletedIds, or with err when no deleted record conflicts
+     */
+    _deletedConflictError(tableName, items, err) {
+        const { keys = [] } = this.models[tableName];
+        const conflicts = items
+            .filter(item => keys.length > 0 && keys.every(key => item[key] !== undefined && item[key] !== null))
+            .map(item => Object.fromEntries(keys.map(key => [key, item[key]])));
+
+        if (
+            !this.softDeleteTables.includes(tableName) ||
+            conflicts.length === 0 ||
+            !(errors.normalizeError(err) instanceof errors.UniqueViolationError)
+        ) {
+            return Promise.reject(err);
+        }
+
+        return (
+            this.tables[tableName]
+                .findAll(
+                    this._queryOptions(
+                        {
+                            attributes: ['id'],
+                            where: { [Sequelize.Op.or]: conflicts, deletedAt: { [Sequelize.Op.ne]: null } },
+                            paranoid: false
+                        },
+                        { usePrimary: true }
+                    )
+                )
+                // Postgres rejects statements in a transaction once one failed
+                .catch(() => [])
+                .then(rows => {
+                    if (rows.length === 0) {
+                        throw err;
+                    }
+
+                    const deletedIds = rows.map(row => row.id);
+
+                    throw new errors.UniqueViolationError(
+                        `Deleted records ${deletedIds.join(', ')} of "${tableName}" have the same unique keys, ` +
+                            'restore() or purge() them first',
+                        { table: tableName, keys, deletedIds, cause: err }
+                    );
+                })
+        );
+    }
+
+    /**
+     * Restore a soft-deleted record
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @param  {Number}   config.params.id   ID of the record to restore
+     * @return {Promise}                     Resolves to the restored record, rejects with NotFoundError
+     *                                       when it does not exist
+     */
+    _restore(config) {
+        const { id } = config.params;
+
+        return this._softDeleteTable(config.table).then(table =>
+            table
+                .restore(this._queryOptions({ where: { id } }))
+                .then(() => table.findByPk(id, this._queryOptions({}, { usePrimary: true })))
+                .then(row => {
+                    if (!row) {
+                        throw notFoundError(config.table, id);
+                    }
+
+                    return decodeFromDialect(
+                        this.client.getDialect(),
+                        row,
+                        this.models[config.table],
+                        this._decodeOptions(config.table)
+                    );
+                })
+                .then(record => this._invalidate(config.table, [id]).then(() => record))
+        );
+    }
+
+    /**
+     * Permanently remove old soft-deleted records
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Number}   [config.retention] How long deleted records are kept in ms
+     * @return {Promise}                     Resolves to the number of records removed
+     */
+    _purge(config) {
+        const retention = config.retention === undefined ? this.softDeleteRetention : config.retention;
+        const deletedBefore = new Date(Date.now() - retention);
+
+        return this._softDeleteTable(config.table).then(table =>
+            table.destroy(
+                this._queryOptions({
+                    where: { deletedAt: { [Sequelize.Op.lt]: deletedBefore } },
+                    force: true
+                })
+            )
+        );
+    }
+
+    /**
+     * Update a record in the datastore, optionally only if it still has the expected values
+     * @method update
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @param  {Object}   [config.expected]  Field => value the stored record must still have (eg: version)
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to the record as persisted
+     */
+    update(config) {
+        return this._execute('update', config, () =>
+            validate(config, SCHEMA_UPDATE).then(validConfig => this._update(validConfig))
+        );
+    }
+
+    /**
+     * Update a record in the datastore
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @param  {String}   config.params.id   Unique id. Typically the desired primary key
+     * @param  {Object}   [config.expected]  Field => value the stored record must still have.
+     *                                       Rejects with ConflictError when it was changed
+     * @return {Promise}                     Resolves to the record as persisted, rejects with
+     *                                       NotFoundError when it does not exist
+     */
+    _update(config) {
+        const { id } = config.params;
+        const userData = config.params;
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+        const dialect = this.client.getDialect();
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        if (config.expected) {
+            const validFields = Object.keys(model.fields);
+            const invalidField = Object.keys(config.expected).find(field => this._fieldInvalid({ validFields, field }));
+
+            if (invalidField) {
+                return Promise.reject(new errors.ValidationError(`Invalid expected field "${invalidField}"`));
+            }
+        }
+
+        return Promise.all([
+            this._validateWrite(config.table, userData).then(content =>
+                encodeToDialect(dialect, content, model, this.nativeJson)
+            ),
+            encodeToDialect(dialect, config.expected || {}, model, this.nativeJson)
+        ]).then(([item, expected]) => {
+            const where = { ...expected, id };
+
+            return table
+                .update(
+                    item,
+                    this._queryOptions({
+                        where,
+                        // Postgres hands back the persisted row, other dialects need a follow-up select
+                        returning: dialect === 'postgres'
+                    })
+                )
+                .then(([affectedCount, rows]) => {
+                    if (rows && rows.length > 0) {
+                        return rows[0];
+                    }
+
+                    // MySQL only counts changed rows, so a write of identical values also lands here
+                    return table.findByPk(id, this._queryOptions({}, { usePrimary: true })).then(row => {
+                        if (!row) {
+                            throw notFoundError(config.table, id);
+                        }
+                        if (affectedCount > 0 || !config.expected) {
+                            return row;
+                        }
+
+                        return table.count(this._queryOptions({ where }, { usePrimary: true })).then(count => {
+                            if (count === 0) {
+                                throw new errors.ConflictError(
+                                    `Record ${id} in "${config.table}" was modified by another writer`,
+                                    {
+                                        table: config.table,
+                                        id,
+                                        expected: config.expected
+                                    }
+                                );
+                            }
+
+                            return row;
+                        });
+                    });
+                })
+                .then(row => decodeFromDialect(dialect, row, model, this._decodeOptions(config.table)))
+                .then(record => this._invalidate(config.table, [id]).then(() => record));
+        });
+    }
+
+    /**
+     * Insert a record, or update the existing record with the same unique keys (schema.keys)
+     * @method upsert
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data, must include every key field
+     * @param  {Number}   [config.timeout]   Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]    Cancels the running statement when aborted
+     * @return {Promise}                     Resolves to { record, created }
+     */
+    upsert(config) {
+        return this._execute('upsert', config, () =>
+            validate(config, SCHEMA_UPSERT).then(validConfig => this._upsert(validConfig))
+        );
+    }
+
+    /**
+     * Insert or update a record in the specified table with a single
+     * INSERT ... ON CONFLICT / ON DUPLICATE KEY / MERGE statement
+     * @param  {Object}   config             Configuration object
+     * @param  {String}   config.table       Table name
+     * @param  {Object}   config.params      Record data
+     * @return {Promise}                     Resolves to { record, created } with the record as persisted
+     */
+    _upsert(config) {
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+        const dialect = this.client.getDialect();
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        const missingKey = model.keys.find(key => config.params[key] === undefined);
+
+        if (missingKey) {
+            return Promise.reject(
+                new errors.ValidationError(`Missing key field "${missingKey}" for upsert into "${config.table}"`)
+            );
+        }
+
+        return this._validateWrite(config.table, config.params)
+            .then(content => encodeToDialect(dialect, content, model, this.nativeJson))
+            .then(item => {
+                const where = {};
+
+                model.keys.forEach(key => {
+                    where[key] = item[key];
+                });
+
+                // Postgres tells an inserted row from an updated one by its xmax. Other dialects count the key
+                // first, SQLite in a transaction that takes the write lock as it begins, so no other write
+                // can get between the count and the upsert
+                const xmax = dialect === 'postgres';
+                const countFirst = !xmax && !UPSERT_REPORTS_CREATED.includes(dialect);
+
+                return this._transaction(
+                    (tx, txOptions) => {
+                        const softDeleted = this.softDeleteTables.includes(config.table);
+                        const lookup = countFirst
+                            ? table.count(txOptions(softDeleted ? { where, paranoid: false } : { where }))
+                            : Promise.resolve(null);
+
+                        return lookup
+                            .then(existing =>
+                                table
+                                    // Upserting a soft-deleted record restores it
+                                    .upsert(
+                                        softDeleted ? { ...item, deletedAt: null } : item,
+                                        txOptions({ conflictFields: model.keys })
+                                    )
+                                    .then(([, created]) => {
+                                        if (created !== null && created !== undefined) {
+                                            return created;
+                                        }
+                                        if (!xmax) {
+                                            return existing === 0;
+                                        }
+
+                                        return table
+                                            .findOne(
+                                                txOptions({
+                                                    attributes: [[this.client.literal('(xmax = 0)'), 'inserted']],
+                                                    where,
+                                                    raw: true
+                                                })
+                                            )
+                                            .then(row => Boolean(row && row.inserted));
+                                    })
+                            )
+                            .then(created =>
+                                table
+                                    .findOne(txOptions({ where }))
+                                    .then(row =>
+                                        decodeFromDialect(dialect, row, model, this._decodeOptions(config.table))
+                                    )
+                                    .then(record => ({ record, created }))
+                            );
+                    },
+                    dialect === 'sqlite' ? { type: Sequelize.Transaction.TYPES.IMMEDIATE } : {}
+                );
+            })
+            .then(result => this._invalidate(config.table, result.record ? [result.record.id] : []).then(() => result));
+    }
+
+    /**
+     * Save many records, inserting them in chunks with multi-row INSERT statements, all in one transaction
+     * @method bulkSave
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Object>} config.params       Records to save
+     * @param  {Number}        [config.chunkSize]  Rows per statement, defaults to bulkChunkSize
+     * @param  {Number}        [config.timeout]    Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal}   [config.signal]     Cancels the running statement when aborted
+     * @return {Promise}                           Resolves to the saved records, in the order given
+     */
+    bulkSave(config) {
+        return this._execute('bulkSave', config, () =>
+            validate(config, SCHEMA_BULK_SAVE).then(validConfig => this._bulkSave(validConfig))
+        );
+    }
+
+    /**
+     * Save many records in the specified table
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Object>} config.params       Records to save
+     * @param  {Number}        [config.chunkSize]  Rows per statement
+     * @return {Promise}                           Resolves to the saved records
+     */
+    _bulkSave(config) {
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+        const dialect = this.client.getDialect();
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        // Every record is validated before the first chunk is written, and the chunks are written in
+        // one transaction, so a failing chunk leaves none of the records saved
+        return Promise.all(config.params.map((row, index) => this._validateWrite(config.table, row, index)))
+            .then(contents =>
+                this._transaction((tx, txOptions) =>
+                    series(chunk(contents, config.chunkSize || this.bulkChunkSize), rows =>
+                        Promise.all(rows.map(row => encodeToDialect(dialect, row, model, this.nativeJson))).then(
+                            items => table.bulkCreate(items, txOptions({ returning: true }))
+                        )
+                    )
+                ).catch(err => this._deletedConflictError(config.table, contents, err))
+            )
+            .then(chunks =>
+                [].concat(...chunks).map(row =>
+                    row.get({
+                        plain: true
+                    })
+                )
+            );
+    }
+
+    /**
+     * Apply the same changes to many records with set-based UPDATE statements
+     * @method bulkUpdate
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Number>} config.ids          IDs of the records to update
+     * @param  {Object}        config.params       Field => value to set on every record
+     * @param  {Number}        [config.chunkSize]  IDs per statement, defaults to bulkChunkSize
+     * @param  {Number}        [config.timeout]    Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal}   [config.signal]     Cancels the running statement when aborted
+     * @return {Promise}                           Resolves to the persisted record for each id, or null
+     *                                             when it does not exist
+     */
+    bulkUpdate(config) {
+        return this._execute('bulkUpdate', config, () =>
+            validate(config, SCHEMA_BULK_UPDATE).then(validConfig => this._bulkUpdate(validConfig))
+        );
+    }
+
+    /**
+     * Apply the same changes to many records in the specified table
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Number>} config.ids          IDs of the records to update
+     * @param  {Object}        config.params       Field => value to set on every record
+     * @param  {Number}        [config.chunkSize]  IDs per statement
+     * @return {Promise}                           Resolves to the persisted record or null for each id
+     */
+    _bulkUpdate(config) {
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+        const dialect = this.client.getDialect();
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        return this._validateWrite(config.table, config.params)
+            .then(content => encodeToDialect(dialect, content, model, this.nativeJson))
+            .then(item =>
+                this._transaction((tx, txOptions) =>
+                    series(chunk(config.ids, config.chunkSize || this.bulkChunkSize), ids => {
+                        const where = { id: { [Sequelize.Op.in]: ids } };
+
+                        return table
+                            .update(item, txOptions({ where }))
+                            .then(() => table.findAll(txOptions({ where }, { usePrimary: true })));
+                    })
+                )
+            )
+            .then(chunks =>
+                Promise.all(
+                    []
+                        .concat(...chunks)
+                        .map(row => decodeFromDialect(dialect, row, model, this._decodeOptions(config.table)))
+                )
+            )
+            .then(records => this._invalidate(config.table, config.ids).then(() => records))
+            .then(records => {
+                const recordsById = new Map(records.map(record => [String(record.id), record]));
+
+                return config.ids.map(id => recordsById.get(String(id)) || null);
+            });
+    }
+
+    /**
+     * Remove many records by primary key with set-based DELETE statements
+     * @method bulkRemove
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Number>} config.ids          IDs of the records to remove
+     * @param  {Number}        [config.chunkSize]  IDs per statement, defaults to bulkChunkSize
+     * @param  {Number}        [config.timeout]    Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal}   [config.signal]     Cancels the running statement when aborted
+     * @return {Promise}                           Resolves to whether each id was removed, in the order given
+     */
+    bulkRemove(config) {
+        return this._execute('bulkRemove', config, () =>
+            validate(config, SCHEMA_BULK_REMOVE).then(validConfig => this._bulkRemove(validConfig))
+        );
+    }
+
+    /**
+     * Remove many records from the specified table
+     * @param  {Object}        config              Configuration object
+     * @param  {String}        config.table        Table name
+     * @param  {Array<Number>} config.ids          IDs of the records to remove
+     * @param  {Number}        [config.chunkSize]  IDs per statement
+     * @return {Promise}                           Resolves to true or false for each id
+     */
+    _bulkRemove(config) {
+        const table = this.tables[config.table];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        // The ids are read and deleted in one transaction, so the result matches what was deleted
+        // and a failing chunk leaves none of the records removed
+        return this._transaction((tx, txOptions) =>
+            series(chunk(config.ids, config.chunkSize || this.bulkChunkSize), ids => {
+                const where = { id: { [Sequelize.Op.in]: ids } };
+
+                return table
+                    .findAll(txOptions({ attributes: ['id'], where }, { usePrimary: true }))
+                    .then(rows => table.destroy(txOptions({ where })).then(() => rows.map(row => row.id)));
+            })
+        )
+            .then(chunks => this._invalidate(config.table, config.ids).then(() => chunks))
+            .then(chunks => {
+                const removedIds = new Set([].concat(...chunks).map(String));
+
+                return config.ids.map(id => removedIds.has(String(id)));
+            });
+    }
+
+    /**
+     * Returns whether the field is a valid field in the table model or not
+     * @param  {Array}      validFields List of valid fields
+     * @param  {String}     field       Field to check
+     * @return {Boolean}                Returns true if field is invalid
+     */
+    _fieldInvalid({ validFields, field }) {
+        return !validFields.includes(field);
+    }
+
+    /**
+     * Scan records in the datastore
+     * @method scan
+     * @param  {Object}         config                    Configuration object
+     * @param  {Array<String>}  [config.exclude]          Attribute(s) to discard
+     * @param  {Array<String>}  [config.groupBy]          Attribute(s) to group rows by
+     * @param  {String}         [config.table]            Table name
+     * @param  {Object}         [config.paginate]         Pagination parameters
+     * @param  {Number}         [config.paginate.count]   Number of items per page
+     * @param  {Number}         [config.paginate.page]    Specific page of the set to return
+     * @param  {Object}         [config.filter]           Conditions { field, op, value } grouped with { and: [] } or
+     *                                                    { or: [] }. op is one of eq, ne, gt, gte, lt, lte, in, notIn,
+     *                                                    isNull, notNull, between. Not with groupBy
+     * @param  {String}         [config.cursor]           Cursor returned with the previous page, or null for the first page.
+     *                                                    Pages with keyset pagination instead of paginate.page
+     * @param  {Boolean}        [config.getCount]         Get total count of record matching query criteria
+     * @param  {Object}         [config.params]           index => values to query on
+     * @param  {String}         [config.params.distinct]  Field to return distinct rows on
+     * @param  {Object}         [config.search]           Search parameters
+     * @param  {String|Array}   [config.search.field]     Search field (eg: jobName)
+     * @param  {String|Array}   [config.search.keyword]   Search keyword (eg: main)
+     * @param  {String}         [config.sort]             Sorting option based on GSI range key. Ascending or descending.
+     * @param  {String}         [config.sortBy]           Key to sort by; defaults to 'id'
+     * @param  {String}         [config.startTime]        Search for records >= startTime
+     * @param  {String}         [config.endTime]          Search for records <= endTime
+     * @param  {String}         [config.aggregationField] Field that will be aggregated in aggregation query
+     * @param  {Boolean}        [config.usePrimary]       Read from the primary instead of a read replica
+     * @param  {Number}         [config.timeout]          Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal}    [config.signal]           Cancels the running statement when aborted
+     * @return {Promise}                                  Resolves to an array of records or an object,
+     *                                                    or { rows, nextCursor } when config.cursor is set
+     */
+    scan(config) {
+        return this._execute('scan', config, () =>
+            validate(config, SCHEMA_SCAN).then(validConfig => this._scan(validConfig))
+        );
+    }
+
+    /**
+     * Scan records in the datastore
+     * @param  {Object}         config                    Configuration object, see scan()
+     * @return {Promise}                                  Resolves to an array of records or an object
+     */
+    _scan(config) {
         const table = this.tables[config.table];
         const model = this.models[config.table];
         const tableName = `${this.prefix}${config.table}`;
@@ -477,13 +2334,35 @@ class Squeakquel extends Datastore {
         let sortKey = 'id';
 
         if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
+            return Promise.reject(invalidTableError(config.table));
         }
 
         const { fields } = model;
         const validFields = Object.keys(fields);
+        const keyset = config.cursor !== undefined;
+
+        // Soft-deleted records are hidden unless asked for
+        if (config.includeDeleted) {
+            findParams.paranoid = false;
+        }
+
+        if (
+            keyset &&
+            (config.groupBy || config.aggregationField || config.getCount || (config.params || {}).distinct)
+        ) {
+            return Promise.reject(
+                new errors.ValidationError(
+                    'Cursor pagination does not support groupBy, aggregationField, getCount or distinct'
+                )
+            );
+        }
+
+        // groupBy selects the latest record of each group by id, which a filter cannot narrow down
+        if (config.groupBy && config.filter) {
+            return Promise.reject(new errors.ValidationError('Scan filter cannot be combined with groupBy'));
+        }
 
-        if (config.paginate) {
+        if (config.paginate && !keyset) {
             findParams.limit = config.paginate.count;
             findParams.offset = findParams.limit * (config.paginate.page - 1);
         }
@@ -499,12 +2378,12 @@ class Squeakquel extends Datastore {
                     // Return distinct rows
                 } else if (paramName === 'distinct') {
                     if (this._fieldInvalid({ validFields, field: paramValue })) {
-                        throw new Error(`Invalid distinct field "${paramValue}"`);
+                        throw new errors.ValidationError(`Invalid distinct field "${paramValue}"`);
                     }
                     findParams.attributes = [[Sequelize.fn('DISTINCT', Sequelize.col(paramValue)), paramValue]];
                 } else {
                     if (this._fieldInvalid({ validFields, field: paramName })) {
-                        throw new Error(`Invalid param "${paramName}"`);
+                        throw new errors.ValidationError(`Invalid param "${paramName}"`);
                     }
                     // Check for gt: or lt: prefix to set greater than or less than operator
                     // Currently only matching for number values
@@ -557,7 +2436,7 @@ class Squeakquel extends Datastore {
 
                 searchFields.forEach(field => {
                     if (this._fieldInvalid({ validFields, field })) {
-                        throw new Error(`Invalid search field "${field}"`);
+                        throw new errors.ValidationError(`Invalid search field "${field}"`);
                     }
                     searchKeywords.forEach(keyword =>
                         findParams.where[Sequelize.Op.or].push({
@@ -570,7 +2449,7 @@ class Squeakquel extends Datastore {
                 // If field is string, search using field directly
             } else {
                 if (this._fieldInvalid({ validFields, field: config.search.field })) {
-                    throw new Error(`Invalid search field "${config.search.field}"`);
+                    throw new errors.ValidationError(`Invalid search field "${config.search.field}"`);
                 }
                 findParams.where[config.search.field] = {
                     [searchOperator]: config.search.keyword
@@ -590,9 +2469,13 @@ class Squeakquel extends Datastore {
             Object.assign(findParams.where[timeKey], { [Sequelize.Op.lte]: config.endTime });
         }
 
+        if (config.filter) {
+            findParams.where[Sequelize.Op.and] = [this._filterWhere(config.filter, model)];
+        }
+
         if (config.sortBy) {
             if (this._fieldInvalid({ validFields, field: config.sortBy })) {
-                return Promise.reject(new Error(`Invalid sortBy "${config.sortBy}"`));
+                return Promise.reject(new errors.ValidationError(`Invalid sortBy "${config.sortBy}"`));
             }
             sortKey = config.sortBy;
         }
@@ -658,6 +2541,10 @@ class Squeakquel extends Datastore {
             config.groupBy.forEach(v => {
                 where[v] = { [Sequelize.Op.eq]: Sequelize.col(`${tableName}.${v}`) };
             });
+            // The latest record of a group that is not deleted
+            if (this.softDeleteTables.includes(config.table) && !config.includeDeleted) {
+                where.deletedAt = null;
+            }
 
             // slice() method deletes `;`
             const subQuery = this.client.dialect.QueryGenerator.selectQuery(tableName, {
@@ -675,6 +2562,10 @@ class Squeakquel extends Datastore {
             findParams.order = [[sortKey, 'DESC']];
         }
 
+        if (keyset) {
+            return this._scanPage({ table, model, findParams, config, sortKey });
+        }
+
         if (config.aggregationField) {
             if (!findParams.attributes) {
                 findParams.attributes = [];
@@ -688,20 +2579,353 @@ class Squeakquel extends Datastore {
         }
 
         if (config.getCount) {
-            return table.findAndCountAll(findParams).then(result =>
-                Promise.all(result.rows.map(item => decodeFromDialect(this.client.getDialect(), item, model))).then(
-                    rows => {
-                        result.rows = rows;
+            return table.findAndCountAll(this._queryOptions(findParams, config)).then(result =>
+                Promise.all(
+                    result.rows.map(item =>
+                        decodeFromDialect(this.client.getDialect(), item, model, this._decodeOptions(config.table))
+                    )
+                ).then(rows => {
+                    result.rows = rows;
+
+                    return Promise.resolve(result);
+                })
+            );
+        }
 
-                        return Promise.resolve(result);
-                    }
+        return table
+            .findAll(this._queryOptions(findParams, config))
+            .then(items =>
+                Promise.all(
+                    items.map(item =>
+                        decodeFromDialect(this.client.getDialect(), item, model, this._decodeOptions(config.table))
+                    )
                 )
             );
+    }
+
+    /**
+     * Convert a scan filter into a Sequelize where clause. Every field must exist in the model
+     * and every value must match the field's type.
+     * @method _filterWhere
+     * @param  {Object}  filter  Condition { field, op, value }, or group { and: [] } / { or: [] }
+     * @param  {Object}  model   Screwdriver Data Schema about the Model
+     * @return {Object}          Sequelize where clause
+     */
+    _filterWhere(filter, model) {
+        if (filter.and || filter.or) {
+            const group = filter.and ? Sequelize.Op.and : Sequelize.Op.or;
+
+            return { [group]: (filter.and || filter.or).map(condition => this._filterWhere(condition, model)) };
+        }
+
+        const { field, op } = filter;
+        const { fields } = model;
+
+        if (this._fieldInvalid({ validFields: Object.keys(fields), field })) {
+            throw new errors.ValidationError(`Invalid filter field "${field}"`);
+        }
+
+        if ((op === 'isNull' || op === 'notNull') && !filter.path) {
+            return { [field]: { [FILTER_OPERATORS[op]]: null } };
+        }
+
+        const fieldType = fields[field].type;
+
+        if (filter.path) {
+            return this._jsonPathWhere(filter, fieldType);
+        }
+
+        if (fieldType === 'array' || fieldType === 'object') {
+            throw new errors.ValidationError(`Filter field "${field}" only supports isNull and notNull`);
+        }
+
+        const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+        const validValues = values.map(value => {
+            const result = fields[field].validate(value);
+
+            if (result.error) {
+                throw new errors.ValidationError(`Invalid value for filter field "${field}": ${result.error.message}`);
+            }
+
+            return result.value;
+        });
+
+        return {
+            [field]: { [FILTER_OPERATORS[op]]: Array.isArray(filter.value) ? validValues : validValues[0] }
+        };
+    }
+
+    /**
+     * Convert a scan filter on a path inside a JSON column into a Sequelize where clause
+     * @method _jsonPathWhere
+     * @param  {Object}  filter        Condition { field, path, op, value }
+     * @param  {String}  fieldType     Joi type of the field
+     * @return {Object}                Sequelize where clause
+     */
+    _jsonPathWhere(filter, fieldType) {
+        const { field, path, op } = filter;
+        const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+        const condition = {
+            [FILTER_OPERATORS[op]]: op === 'isNull' || op === 'notNull' ? null : filter.value
+        };
+
+        if (!this.nativeJson || (fieldType !== 'array' && fieldType !== 'object')) {
+            throw new errors.ValidationError(
+                `Filter field "${field}" is not a JSON column, path filters need nativeJson`
+            );
+        }
+        if (
+            filter.value !== undefined &&
+            !values.every(value => ['string', 'number', 'boolean'].includes(typeof value))
+        ) {
+            throw new errors.ValidationError(
+                `Invalid value for filter field "${field}": path values must be strings, numbers or booleans`
+            );
+        }
+
+        // Sequelize splits SQLite paths on dots, which annotation keys (eg: screwdriver.cd/timeout) contain
+        if (this.client.getDialect() === 'sqlite') {
+            const jsonPath = `$${path.map(key => `."${key}"`).join('')}`;
+
+            const column = this.client.getQueryInterface().queryGenerator.quoteIdentifier(field);
+
+            return Sequelize.where(
+                this.client.literal(`json_extract(${column}, ${this.client.escape(jsonPath)})`),
+                condition
+            );
         }
 
+        return { [field]: path.reduceRight((nested, key) => ({ [key]: nested }), condition) };
+    }
+
+    /**
+     * Iterate over every record matching a scan, fetching them in batches with cursor pagination.
+     * The next batch is only fetched once the consumer has handled the previous one.
+     * @method scanIterator
+     * @param  {Object}   [config]             Same options as scan(), except paginate and cursor
+     * @param  {Number}   [config.batchSize]   Rows fetched per query, defaults to 100
+     * @return {AsyncIterator}                 Yields decoded records, for use with for await...of
+     */
+    scanIterator(config = {}) {
+        const { batchSize = SCAN_BATCH_SIZE, ...scanConfig } = config;
+        let validated = false;
+        let finished = false;
+        let rows = [];
+        let cursor = null;
+        let pending = Promise.resolve();
+
+        const pull = () => {
+            if (!validated) {
+                return validate(config, SCHEMA_SCAN_ITERATOR)
+                    .catch(err => {
+                        throw errors.normalizeError(err, { table: config.table, operation: 'scanIterator' });
+                    })
+                    .then(() => {
+                        validated = true;
+
+                        return pull();
+                    });
+            }
+            if (rows.length > 0) {
+                return Promise.resolve({ value: rows.shift(), done: false });
+            }
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return this.scan({ ...scanConfig, paginate: { count: batchSize }, cursor }).then(page => {
+                ({ rows } = page);
+                cursor = page.nextCursor;
+                finished = !cursor;
+
+                return pull();
+            });
+        };
+
+        return {
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+            // Calls are queued so a batch is never fetched twice
+            next: () => {
+                pending = pending.then(pull);
+
+                return pending;
+            },
+            return: () => {
+                finished = true;
+                rows = [];
+
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+    }
+
+    /**
+     * Fetch one page of a scan with keyset pagination. Rows are ordered by the sort key and then by id,
+     * and the page starts after the row the cursor points to, so no OFFSET is needed.
+     * @method _scanPage
+     * @param  {Object}         options
+     * @param  {SequelizeModel} options.table      Sequelize table
+     * @param  {Object}         options.model      Screwdriver Data Schema about the Model
+     * @param  {Object}         options.findParams Sequelize find options built by _scan()
+     * @param  {Object}         options.config     Scan configuration
+     * @param  {String}         options.sortKey    Field the scan is sorted by
+     * @return {Promise}                           Resolves to { rows, nextCursor }, nextCursor is null on the last page
+     */
+    _scanPage({ table, model, findParams, config, sortKey }) {
+        const direction = findParams.order[0][1];
+        const operator = direction === 'ASC' ? Sequelize.Op.gt : Sequelize.Op.lt;
+        const { count } = config.paginate;
+        const excluded = (findParams.attributes && findParams.attributes.exclude) || [];
+        const missingField = [sortKey, 'id'].find(field => excluded.includes(field));
+
+        if (missingField) {
+            return Promise.reject(new errors.ValidationError(`Cursor pagination cannot exclude "${missingField}"`));
+        }
+
+        if (sortKey !== 'id') {
+            findParams.order.push(['id', direction]);
+        }
+
+        if (config.cursor) {
+            const position = decodeCursor(config.cursor);
+
+            if (!position) {
+                return Promise.reject(new errors.ValidationError('Invalid cursor'));
+            }
+            if (position.sortKey !== sortKey || position.direction !== direction) {
+                return Promise.reject(
+                    new errors.ValidationError(`Cursor does not match a scan sorted by "${sortKey}" ${direction}`)
+                );
+            }
+
+            // Comparisons never match NULL, so rows with a NULL sort key are selected by where they sort:
+            // first ascending on MySQL and SQLite, first descending on Postgres
+            const nullsFirst = (this.client.getDialect() === 'postgres') === (direction === 'DESC');
+            let after;
+
+            if (sortKey === 'id') {
+                after = { id: { [operator]: position.id } };
+            } else if (position.value === null) {
+                const sameValue = { [sortKey]: null, id: { [operator]: position.id } };
+
+                after = nullsFirst
+                    ? { [Sequelize.Op.or]: [sameValue, { [sortKey]: { [Sequelize.Op.ne]: null } }] }
+                    : sameValue;
+            } else {
+                const conditions = [
+                    { [sortKey]: { [operator]: position.value } },
+                    { [sortKey]: position.value, id: { [operator]: position.id } }
+                ];
+
+                after = { [Sequelize.Op.or]: nullsFirst ? conditions : [...conditions, { [sortKey]: null }] };
+            }
+
+            findParams.where = { [Sequelize.Op.and]: [findParams.where, after] };
+        }
+
+        // One extra row tells whether there is a next page
+        findParams.limit = count + 1;
+
         return table
-            .findAll(findParams)
-            .then(items => Promise.all(items.map(item => decodeFromDialect(this.client.getDialect(), item, model))));
+            .findAll(this._queryOptions(findParams, config))
+            .then(items =>
+                Promise.all(
+                    items.map(item =>
+                        decodeFromDialect(this.client.getDialect(), item, model, this._decodeOptions(config.table))
+                    )
+                )
+            )
+            .then(rows => {
+                if (rows.length <= count) {
+                    return { rows, nextCursor: null };
+                }
+
+                const page = rows.slice(0, count);
+                const last = page[count - 1];
+
+                return {
+                    rows: page,
+                    nextCursor: encodeCursor({
+                        sortKey,
+                        direction,
+                        value: last[sortKey] === undefined ? null : last[sortKey],
+                        id: last.id
+                    })
+                };
+            });
+    }
+
+    /**
+     * List the records whose JSON fields cannot be parsed, eg: truncated values.
+     * Records are read in batches without decoding, so one bad record does not stop the search.
+     * @method findCorruptRecords
+     * @param  {Object}  config               Configuration object
+     * @param  {String}  config.table         Table name
+     * @param  {Number}  [config.batchSize]   Rows read per query, defaults to 100
+     * @param  {Number}  [config.timeout]     Statement timeout in ms, overrides statementTimeout
+     * @param  {AbortSignal} [config.signal]      Cancels the running statement when aborted
+     * @return {Promise}                      Resolves to [{ id, field, error }]
+     */
+    findCorruptRecords(config) {
+        return this._execute('findCorruptRecords', config, () =>
+            validate(config, SCHEMA_FIND_CORRUPT).then(validConfig => this._findCorruptRecords(validConfig))
+        );
+    }
+
+    /**
+     * List the records of a table whose JSON fields cannot be parsed
+     * @param  {Object}  config               Configuration object
+     * @param  {String}  config.table         Table name
+     * @param  {Number}  [config.batchSize]   Rows read per query
+     * @return {Promise}                      Resolves to [{ id, field, error }]
+     */
+    _findCorruptRecords(config) {
+        const table = this.tables[config.table];
+        const model = this.models[config.table];
+        const batchSize = config.batchSize || SCAN_BATCH_SIZE;
+        const corrupt = [];
+
+        if (!table) {
+            return Promise.reject(invalidTableError(config.table));
+        }
+
+        // JSON columns only ever hold valid JSON
+        const jsonFields = this.nativeJson
+            ? []
+            : Object.keys(model.fields).filter(field => ['array', 'object'].includes(model.fields[field].type));
+
+        if (jsonFields.length === 0) {
+            return Promise.resolve(corrupt);
+        }
+
+        const readAfter = lastId =>
+            table
+                .findAll(
+                    this._queryOptions({
+                        attributes: ['id', ...jsonFields],
+                        where: lastId === null ? {} : { id: { [Sequelize.Op.gt]: lastId } },
+                        order: [['id', 'ASC']],
+                        limit: batchSize,
+                        raw: true
+                    })
+                )
+                .then(rows => {
+                    rows.forEach(row => {
+                        jsonFields.forEach(field => {
+                            try {
+                                JSON.parse(row[field]);
+                            } catch (err) {
+                                corrupt.push({ id: row.id, field, error: err.message });
+                            }
+                        });
+                    });
+
+                    return rows.length < batchSize ? corrupt : readAfter(rows[rows.length - 1].id);
+                });
+
+        return readAfter(null);
     }
 
     /**
@@ -720,10 +2944,10 @@ class Squeakquel extends Datastore {
         const queryParams = { replacements: config.replacements };
 
         if (!table) {
-            return Promise.reject(new Error(`Invalid table name "${config.table}"`));
+            return Promise.reject(invalidTableError(config.table));
         }
         if (!query) {
-            return Promise.reject(new Error(`No query found for "${dialect}" database`));
+            return Promise.reject(new errors.ValidationError(`No query found for "${dialect}" database`));
         }
 
         if (!config.rawResponse) {
@@ -731,9 +2955,12 @@ class Squeakquel extends Datastore {
             queryParams.mapToModel = true;
         }
 
-        return table.sequelize.query(query.query, queryParams).then(data => {
+        // Raw queries may write, so only the ones mapped to the model, which Sequelize types as SELECT, use a replica
+        const routing = { usePrimary: config.usePrimary || config.rawResponse };
+
+        return table.sequelize.query(query.query, this._queryOptions(queryParams, routing)).then(data => {
             if (!config.rawResponse) {
-                data.map(d => decodeFromDialect(this.client.getDialect(), d, model));
+                data.map(d => decodeFromDialect(this.client.getDialect(), d, model, this._decodeOptions(config.table)));
             }
 
             return data;
@@ -742,3 +2969,4 @@ class Squeakquel extends Datastore {
 }
 
 module.exports = Squeakquel;
+module.exports.errors = errors;
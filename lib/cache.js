@@ -0,0 +1,279 @@
+'use strict';
+
+/* eslint max-classes-per-file: "off" */
+
+const Joi = require('joi');
+const logger = require('screwdriver-logger');
+
+const BACKEND_METHODS = ['get', 'set', 'delete'];
+const SCHEMA_CACHE = Joi.object({
+    backend: Joi.any(),
+    maxEntries: Joi.number().integer().positive().default(10000),
+    ttl: Joi.number().integer().min(0).default(60000),
+    tables: Joi.object().pattern(Joi.string(), Joi.number().integer().min(0)).default({})
+});
+
+/**
+ * Deep copy of a record, keeping the Buffers of binary fields and the Dates
+ * @method copy
+ * @param  {*} value Value
+ * @return {*}       Copy
+ */
+function copy(value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.from(value);
+    }
+    if (value instanceof Date) {
+        return new Date(value.getTime());
+    }
+    if (Array.isArray(value)) {
+        return value.map(copy);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copy(item)]));
+    }
+
+    return value;
+}
+
+class MemoryCache {
+    /**
+     * In-memory cache backend evicting the least recently used entries
+     * @param  {Object}  [options]
+     * @param  {Integer} [options.maxEntries=10000] How many entries to keep
+     */
+    constructor({ maxEntries = 10000 } = {}) {
+        this.maxEntries = maxEntries;
+        // Key => { value, expiresAt }, from the least to the most recently used
+        this.entries = new Map();
+    }
+
+    /**
+     * Value of a key
+     * @method get
+     * @param  {String}  key Cache key
+     * @return {Promise}     Resolves to a copy of the value, undefined when missing or expired
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return Promise.resolve(undefined);
+        }
+
+        this.entries.delete(key);
+        if (entry.expiresAt <= Date.now()) {
+            return Promise.resolve(undefined);
+        }
+        this.entries.set(key, entry);
+
+        return Promise.resolve(copy(entry.value));
+    }
+
+    /**
+     * Set the value of a key
+     * @method set
+     * @param  {String}  key   Cache key
+     * @param  {*}       value Value, copied so later changes of the caller do not leak into the cache
+     * @param  {Number}  ttl   How long the value stays valid in ms
+     * @return {Promise}
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value: copy(value), expiresAt: Date.now() + ttl });
+
+        if (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Remove a key
+     * @method delete
+     * @param  {String}  key Cache key
+     * @return {Promise}
+     */
+    delete(key) {
+        this.entries.delete(key);
+
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Call a backend method, logging failures instead of failing the operation, which then reads from the database
+ * @method call
+ * @param  {Object}  backend Cache backend
+ * @param  {String}  method  Method name, eg: get
+ * @param  {Array}   args    Arguments
+ * @return {Promise}         Resolves to the result, undefined when the backend failed
+ */
+function call(backend, method, args) {
+    return Promise.resolve()
+        .then(() => backend[method](...args))
+        .catch(err => {
+            logger.warn(`Failed to ${method} cache entry`, { key: args[0], error: err.message });
+
+            return undefined;
+        });
+}
+
+class ReadThroughCache {
+    /**
+     * Cache of records read by primary key or unique keys, filled on reads and invalidated on writes
+     * @param  {Object}  config                    Configuration object
+     * @param  {Object}  [config.backend]          Backend with get(key), set(key, value, ttl) and delete(key)
+     *                                             returning Promises, defaults to a MemoryCache
+     * @param  {Integer} [config.maxEntries=10000] How many records the default MemoryCache keeps
+     * @param  {Integer} [config.ttl=60000]        How long records stay cached in ms
+     * @param  {Object}  [config.tables]           Table name => TTL in ms overriding ttl, 0 to not cache the table
+     * @param  {String}  [namespace]               Prefix of the cache keys, eg: the table prefix
+     */
+    constructor(config, namespace = '') {
+        const result = SCHEMA_CACHE.validate(config);
+
+        if (result.error) {
+            throw new Error(`Invalid cache: ${result.error.message}`);
+        }
+
+        const { backend } = config;
+
+        if (backend && BACKEND_METHODS.some(method => typeof backend[method] !== 'function')) {
+            throw new Error(`Invalid cache: backend must have ${BACKEND_METHODS.join(', ')} functions`);
+        }
+
+        this.backend = backend || new MemoryCache(result.value);
+        this.ttl = result.value.ttl;
+        this.tables = result.value.tables;
+        this.namespace = namespace;
+        // Table => number of invalidations, so reads that started before a write do not cache what they read
+        this.generations = new Map();
+    }
+
+    /**
+     * How long records of a table stay cached
+     * @method tableTtl
+     * @param  {String} table Table name
+     * @return {Number}       TTL in ms, 0 when the table is not cached
+     */
+    tableTtl(table) {
+        return this.tables[table] === undefined ? this.ttl : this.tables[table];
+    }
+
+    /**
+     * Key of a record by primary key
+     * @method idKey
+     * @param  {String} table Table name
+     * @param  {*}      id    Primary key
+     * @return {String}
+     */
+    idKey(table, id) {
+        return `${this.namespace}${table}:${id}`;
+    }
+
+    /**
+     * Key of the primary key of a record by unique keys
+     * @method uniqueKey
+     * @param  {String} table  Table name
+     * @param  {Array}  keys   Unique key fields of the model
+     * @param  {Object} params Field => value
+     * @return {String}
+     */
+    uniqueKey(table, keys, params) {
+        return `${this.namespace}${table}:keys:${JSON.stringify(keys.map(key => String(params[key])))}`;
+    }
+
+    /**
+     * Whether a lookup is cached: by primary key, or by exactly the unique keys of the model,
+     * in a table with a TTL
+     * @method isCached
+     * @param  {String}  table  Table name
+     * @param  {Object}  params Field => value the record is looked up by
+     * @param  {Array}   keys   Unique key fields of the model
+     * @return {Boolean}
+     */
+    isCached(table, params, keys) {
+        const fields = Object.keys(params);
+
+        if (this.tableTtl(table) === 0) {
+            return false;
+        }
+
+        // Other params are ignored when looking up by id, see _get()
+        return (
+            params.id !== undefined ||
+            (keys.length > 0 && fields.length === keys.length && keys.every(key => params[key] !== undefined))
+        );
+    }
+
+    /**
+     * Read a record from the cache, or load and cache it. Only lookups by primary key, or by exactly
+     * the unique keys of the model, are cached; records missing from the database are not
+     * @method read
+     * @param  {String}   table  Table name
+     * @param  {Object}   params Field => value the record is looked up by
+     * @param  {Array}    keys   Unique key fields of the model
+     * @param  {Function} load   Reads the record from the database, returns a Promise
+     * @return {Promise}         Resolves to the record, or null
+     */
+    read(table, params, keys, load) {
+        const ttl = this.tableTtl(table);
+        const byId = params.id !== undefined;
+
+        if (!this.isCached(table, params, keys)) {
+            return load();
+        }
+
+        const generation = this.generations.get(table) || 0;
+        const loadAndCache = () =>
+            load().then(record => {
+                if (!record || generation !== (this.generations.get(table) || 0)) {
+                    return record;
+                }
+
+                const writes = [call(this.backend, 'set', [this.idKey(table, record.id), record, ttl])];
+
+                if (!byId) {
+                    // Points to the record by id, so invalidating the id invalidates the unique keys too
+                    writes.push(call(this.backend, 'set', [this.uniqueKey(table, keys, params), record.id, ttl]));
+                }
+
+                return Promise.all(writes).then(() => record);
+            });
+
+        if (byId) {
+            return call(this.backend, 'get', [this.idKey(table, params.id)]).then(record =>
+                record === undefined || record === null ? loadAndCache() : record
+            );
+        }
+
+        return call(this.backend, 'get', [this.uniqueKey(table, keys, params)])
+            .then(id => (id === undefined || id === null ? null : call(this.backend, 'get', [this.idKey(table, id)])))
+            .then(record => {
+                // The unique keys of the record may have changed since they were cached
+                const matches = record && keys.every(key => String(record[key]) === String(params[key]));
+
+                return matches ? record : loadAndCache();
+            });
+    }
+
+    /**
+     * Remove records of a table from the cache after they were written
+     * @method invalidate
+     * @param  {String}  table Table name
+     * @param  {Array}   ids   Primary keys of the records
+     * @return {Promise}       Resolves once the entries are removed, never rejects
+     */
+    invalidate(table, ids) {
+        this.generations.set(table, (this.generations.get(table) || 0) + 1);
+
+        return Promise.all(ids.map(id => call(this.backend, 'delete', [this.idKey(table, id)]))).then(() => undefined);
+    }
+}
+
+module.exports = {
+    MemoryCache,
+    ReadThroughCache
+};
@@ -0,0 +1,164 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * Read a file, and read it again only once it has changed
+ * @method fileSource
+ * @param  {String}   path    File path
+ * @param  {Function} [parse] Turns the file content into the value
+ * @return {Object}           { get, refresh }: get() resolves to the value, refresh() forces the next get() to re-read
+ */
+function fileSource(path, parse = content => content) {
+    let modified = null;
+    let value;
+
+    return {
+        get() {
+            return fs.promises.stat(path).then(stats => {
+                if (stats.mtimeMs === modified) {
+                    return value;
+                }
+
+                return fs.promises.readFile(path, 'utf8').then(content => {
+                    value = parse(content);
+                    modified = stats.mtimeMs;
+
+                    return value;
+                });
+            });
+        },
+        refresh() {
+            modified = null;
+        }
+    };
+}
+
+/**
+ * Call a function for each new connection, so it can hand out rotated or short-lived credentials
+ * @method callbackSource
+ * @param  {Function} callback Resolves to the value
+ * @return {Object}            { get, refresh }: get() resolves to the value, refresh() makes the next get() call
+ *                             again instead of waiting for a call already running
+ */
+function callbackSource(callback) {
+    let pending = null;
+
+    return {
+        get() {
+            // Connections opened while the function runs wait for the same value
+            if (!pending) {
+                const current = Promise.resolve().then(callback);
+                const settled = () => {
+                    if (pending === current) {
+                        pending = null;
+                    }
+                };
+
+                current.then(settled, settled);
+                pending = current;
+            }
+
+            return pending;
+        },
+        refresh() {
+            pending = null;
+        }
+    };
+}
+
+/**
+ * Call a token generator for each database user and host, and call it again shortly before the token expires
+ * @method tokenSource
+ * @param  {Function} generate        Resolves to { token, expiresAt } (Date or ms since epoch), or to the token alone,
+ *                                    which is then not cached. Called with { host, port, username, database }
+ * @param  {Number}   refreshMargin   How long before expiresAt a new token is generated in ms
+ * @return {Object}                   { get, refresh }: get(connectionConfig) resolves to { password },
+ *                                    refresh() forces the next get() to generate new tokens
+ */
+function tokenSource(generate, refreshMargin) {
+    let tokens = new Map();
+
+    return {
+        get({ host, port, username, database } = {}) {
+            const key = `${username}@${host}:${port}/${database}`;
+            const cached = tokens.get(key);
+
+            if (cached && Date.now() < cached.refreshAt) {
+                return cached.promise;
+            }
+
+            const current = tokens;
+            // Connections opened while the token is generated wait for the same token
+            const entry = { refreshAt: Infinity };
+
+            entry.promise = Promise.resolve({ host, port, username, database })
+                .then(generate)
+                .then(result => {
+                    const { token, expiresAt } = typeof result === 'string' ? { token: result } : result || {};
+
+                    if (typeof token !== 'string' || !token) {
+                        throw new Error('Invalid authentication token, expected a string or { token, expiresAt }');
+                    }
+
+                    entry.refreshAt = expiresAt ? new Date(expiresAt).getTime() - refreshMargin : 0;
+
+                    return { password: token };
+                });
+            entry.promise.catch(() => {
+                if (current.get(key) === entry) {
+                    current.delete(key);
+                }
+            });
+            tokens.set(key, entry);
+
+            return entry.promise;
+        },
+        refresh() {
+            tokens = new Map();
+        }
+    };
+}
+
+/**
+ * Parse a credentials file: JSON with username and password, or the password alone
+ * @method parseCredentials
+ * @param  {String} content File content
+ * @return {Object}         { username, password }
+ */
+function parseCredentials(content) {
+    let parsed;
+
+    try {
+        parsed = JSON.parse(content);
+    } catch (err) {
+        parsed = null;
+    }
+
+    if (parsed && typeof parsed === 'object') {
+        return { username: parsed.username, password: parsed.password };
+    }
+
+    return { password: content.trim() };
+}
+
+/**
+ * Build the source of the database credentials
+ * @method credentialSource
+ * @param  {String|Function} credentials File path, or a function resolving to { username, password }
+ * @return {Object}                      { get, refresh }
+ */
+function credentialSource(credentials) {
+    if (typeof credentials === 'function') {
+        return callbackSource(credentials);
+    }
+
+    return fileSource(credentials, parseCredentials);
+}
+
+module.exports = {
+    callbackSource,
+    credentialSource,
+    fileSource,
+    tokenSource
+};
@@ -0,0 +1,238 @@
+'use strict';
+
+/* eslint max-classes-per-file: "off" */
+
+class DatastoreError extends Error {
+    /**
+     * Base class for errors raised by the datastore
+     * @param  {String} message      Error message
+     * @param  {Object} [properties] Extra properties describing the failure (eg: table, id)
+     */
+    constructor(message, properties = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        Object.assign(this, properties);
+    }
+}
+
+/**
+ * The record to operate on does not exist
+ */
+class NotFoundError extends DatastoreError {}
+
+/**
+ * The record no longer has the values the caller expected, because another writer changed it first
+ */
+class ConflictError extends DatastoreError {}
+
+/**
+ * A stored value cannot be decoded, eg: a truncated JSON field
+ */
+class DecodeError extends DatastoreError {}
+
+/**
+ * A record does not match its model, or a call was given invalid options.
+ * details lists { field, message } for each offending field
+ */
+class ValidationError extends DatastoreError {}
+
+/**
+ * A record with the same unique keys already exists. keys lists the conflicting fields
+ */
+class UniqueViolationError extends DatastoreError {}
+
+/**
+ * A record references a record that does not exist, or is still referenced by another record
+ */
+class ForeignKeyError extends DatastoreError {}
+
+/**
+ * The database did not answer in time, or a lock could not be acquired in time
+ */
+class TimeoutError extends DatastoreError {}
+
+/**
+ * A statement ran longer than its statement timeout and was cancelled. timeout is the limit in ms when known
+ */
+class StatementTimeoutError extends TimeoutError {}
+
+/**
+ * The operation was cancelled through its AbortSignal. reason is the reason the signal was aborted with
+ */
+class CancelledError extends DatastoreError {}
+
+/**
+ * The transaction was aborted because of a deadlock or a serialization failure, and can be retried
+ */
+class DeadlockError extends DatastoreError {}
+
+/**
+ * The connection to the database could not be established or was lost
+ */
+class ConnectionLostError extends DatastoreError {}
+
+/**
+ * The database rejected the credentials, eg: after a password rotation
+ */
+class AuthenticationError extends DatastoreError {}
+
+/**
+ * The datastore is shutting down or closed and does not accept new operations
+ */
+class ShutdownError extends DatastoreError {}
+
+// Sequelize errors by name
+const SEQUELIZE_ERRORS = {
+    SequelizeAccessDeniedError: AuthenticationError,
+    SequelizeUniqueConstraintError: UniqueViolationError,
+    SequelizeForeignKeyConstraintError: ForeignKeyError,
+    SequelizeValidationError: ValidationError,
+    SequelizeTimeoutError: TimeoutError,
+    SequelizeConnectionAcquireTimeoutError: TimeoutError,
+    SequelizeConnectionTimedOutError: TimeoutError,
+    SequelizeConnectionError: ConnectionLostError,
+    SequelizeConnectionRefusedError: ConnectionLostError,
+    SequelizeHostNotFoundError: ConnectionLostError,
+    SequelizeHostNotReachableError: ConnectionLostError,
+    SequelizeInvalidConnectionError: ConnectionLostError
+};
+// Driver error codes of mysql, mariadb, postgres (SQLSTATE) and sqlite
+const CODE_ERRORS = {
+    ER_ACCESS_DENIED_ERROR: AuthenticationError,
+    ER_DUP_ENTRY: UniqueViolationError,
+    ER_NO_REFERENCED_ROW: ForeignKeyError,
+    ER_NO_REFERENCED_ROW_2: ForeignKeyError,
+    ER_ROW_IS_REFERENCED: ForeignKeyError,
+    ER_ROW_IS_REFERENCED_2: ForeignKeyError,
+    ER_BAD_NULL_ERROR: ValidationError,
+    ER_DATA_TOO_LONG: ValidationError,
+    ER_TRUNCATED_WRONG_VALUE_FOR_FIELD: ValidationError,
+    ER_LOCK_DEADLOCK: DeadlockError,
+    ER_LOCK_WAIT_TIMEOUT: TimeoutError,
+    ER_QUERY_TIMEOUT: StatementTimeoutError,
+    ER_STATEMENT_TIMEOUT: StatementTimeoutError,
+    ER_QUERY_INTERRUPTED: TimeoutError,
+    PROTOCOL_CONNECTION_LOST: ConnectionLostError,
+    ECONNRESET: ConnectionLostError,
+    ECONNREFUSED: ConnectionLostError,
+    EPIPE: ConnectionLostError,
+    ETIMEDOUT: TimeoutError,
+    '28P01': AuthenticationError,
+    28000: AuthenticationError,
+    23505: UniqueViolationError,
+    23503: ForeignKeyError,
+    23502: ValidationError,
+    22001: ValidationError,
+    '22P02': ValidationError,
+    '40P01': DeadlockError,
+    40001: DeadlockError,
+    57014: TimeoutError,
+    '55P03': TimeoutError,
+    '57P01': ConnectionLostError,
+    SQLITE_BUSY: TimeoutError,
+    SQLITE_LOCKED: TimeoutError,
+    SQLITE_INTERRUPT: TimeoutError
+};
+// SQLite reports every constraint as SQLITE_CONSTRAINT and tells them apart in the message
+const SQLITE_CONSTRAINT_ERRORS = [
+    [/UNIQUE constraint/, UniqueViolationError],
+    [/FOREIGN KEY constraint/, ForeignKeyError],
+    [/NOT NULL constraint|CHECK constraint/, ValidationError]
+];
+
+/**
+ * Driver error code of a Sequelize or driver error
+ * @method errorCode
+ * @param  {Error}  err Error
+ * @return {String}     Code, eg: ER_DUP_ENTRY, 23505, SQLITE_BUSY
+ */
+function errorCode(err) {
+    const cause = err.parent || err.original || err;
+
+    return cause.code === undefined ? undefined : String(cause.code);
+}
+
+/**
+ * Map an error from Sequelize, the database driver or Joi to the datastore error hierarchy, so that
+ * callers can tell failures apart the same way on every dialect. Errors that do not fit a category
+ * become a DatastoreError. The original error is kept as cause.
+ * @method normalizeError
+ * @param  {Error}          err       Error
+ * @param  {Object}         [context] Properties describing the operation (eg: table, operation)
+ * @return {DatastoreError}
+ */
+function normalizeError(err, context = {}) {
+    if (err instanceof DatastoreError) {
+        Object.keys(context).forEach(key => {
+            if (err[key] === undefined) {
+                err[key] = context[key];
+            }
+        });
+
+        return err;
+    }
+
+    const properties = { ...context, cause: err };
+    const code = errorCode(err);
+    // Postgres reports rejected credentials as a generic connection error
+    let ErrorClass =
+        CODE_ERRORS[code] === AuthenticationError
+            ? AuthenticationError
+            : SEQUELIZE_ERRORS[err.name] || CODE_ERRORS[code] || DatastoreError;
+
+    // Sequelize reports every SQLite constraint but foreign keys as a unique constraint error
+    if (code === 'SQLITE_CONSTRAINT') {
+        const match = SQLITE_CONSTRAINT_ERRORS.find(([pattern]) => pattern.test((err.parent || err).message));
+
+        ErrorClass = match ? match[1] : ErrorClass;
+    }
+
+    // Postgres reports statement timeouts and cancelled statements with the same code
+    if (code === '57014' && /statement timeout/.test((err.parent || err).message)) {
+        ErrorClass = StatementTimeoutError;
+    }
+
+    if (err.isJoi) {
+        ErrorClass = ValidationError;
+        properties.details = err.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }));
+    } else if (ErrorClass === DatastoreError && /Connection terminated|connection lost/i.test(err.message)) {
+        ErrorClass = ConnectionLostError;
+    }
+
+    if (ErrorClass === UniqueViolationError) {
+        const fields = err.fields || {};
+
+        properties.keys = Array.isArray(fields) ? fields : Object.keys(fields);
+        if (!Array.isArray(fields)) {
+            properties.values = fields;
+        }
+    } else if (ErrorClass === ForeignKeyError) {
+        properties.keys = err.fields;
+    } else if (ErrorClass === ValidationError && Array.isArray(err.errors)) {
+        properties.details = err.errors.map(item => ({ field: item.path, message: item.message }));
+    }
+
+    const normalized = new ErrorClass(err.message, properties);
+
+    normalized.stack = err.stack;
+
+    return normalized;
+}
+
+module.exports = {
+    DatastoreError,
+    NotFoundError,
+    ConflictError,
+    DecodeError,
+    ValidationError,
+    UniqueViolationError,
+    ForeignKeyError,
+    TimeoutError,
+    StatementTimeoutError,
+    CancelledError,
+    DeadlockError,
+    ConnectionLostError,
+    AuthenticationError,
+    ShutdownError,
+    normalizeError
+};
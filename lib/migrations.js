@@ -0,0 +1,871 @@
+'use strict';
+
+/* eslint new-cap: ["error", { "capIsNewExceptionPattern": "^Sequelize\.." }] */
+
+const Sequelize = require('sequelize');
+const logger = require('screwdriver-logger');
+const os = require('os');
+const { series, sleep } = require('./utils');
+
+const MIGRATIONS_TABLE = 'schemaMigrations';
+const LOCK_TABLE = 'schemaMigrationLock';
+const LOCK_ID = 1;
+// Order in which the steps for a single table are applied
+const ACTION_ORDER = ['createTable', 'removeIndex', 'addColumn', 'changeColumn', 'removeColumn', 'addIndex'];
+// Maximum length of the unbounded text types
+const TEXT_SIZES = { TINYTEXT: 255, TEXT: 65535, MEDIUMTEXT: 16777215, LONGTEXT: 4294967295 };
+// Numeric types from narrowest to widest
+const NUMBER_TYPES = ['BOOLEAN', 'TINYINT', 'SMALLINT', 'INTEGER', 'BIGINT', 'FLOAT', 'REAL', 'DOUBLE'];
+
+/**
+ * Describe a Sequelize model as a JSON-serializable table definition
+ * @method describeModel
+ * @param  {SequelizeModel} table Sequelize table/model
+ * @return {Object}               Table definition (columns, indexes)
+ */
+function describeModel(table) {
+    const columns = {};
+    const indexes = {};
+    const tableName = table.getTableName();
+
+    Object.keys(table.rawAttributes).forEach(attributeName => {
+        const attribute = table.rawAttributes[attributeName];
+        const column = { type: attribute.type ? attribute.type.toString() : null };
+
+        if (attribute.allowNull === false) {
+            column.allowNull = false;
+        }
+        if (attribute.primaryKey) {
+            column.primaryKey = true;
+        }
+        if (attribute.autoIncrement) {
+            column.autoIncrement = true;
+        }
+        if (attribute.defaultValue !== undefined) {
+            const { defaultValue } = attribute;
+            const isJson =
+                defaultValue !== null &&
+                (Array.isArray(defaultValue) || Object.getPrototypeOf(defaultValue) === Object.prototype);
+
+            // Defaults of JSON columns are kept as JSON text, which is also what the DDL needs
+            column.defaultValue = isJson ? JSON.stringify(defaultValue) : defaultValue;
+        }
+
+        columns[attribute.field || attributeName] = column;
+    });
+
+    (table.options.indexes || []).forEach(index => {
+        const fields = index.fields.map(field => (typeof field === 'string' ? field : field.name || field.attribute));
+        const name = index.name || `${tableName}_${fields.join('_')}`;
+
+        indexes[name] = { name, fields, unique: !!index.unique };
+    });
+
+    // Unique keys (schema.keys) are managed as named unique indexes
+    Object.keys(table.uniqueKeys || {}).forEach(keyName => {
+        const name = `${tableName}_${keyName}`;
+
+        indexes[name] = { name, fields: table.uniqueKeys[keyName].fields, unique: true };
+    });
+
+    return { columns, indexes };
+}
+
+/**
+ * Match the indexes of a table in the database to the indexes of its model by fields and uniqueness,
+ * since tables created by sync() name them differently, eg: uniquerow on MySQL, <table>_<fields>_key
+ * on Postgres and sqlite_autoindex_<table>_1 on SQLite
+ * @method existingIndexes
+ * @param  {Object}        modelIndexes  Index name => index definition of the model
+ * @param  {Array<Object>} dbIndexes     Indexes of the table, as listed by showIndex
+ * @param  {Array<String>} [constraints] Names of the unique constraints of the table, which own their index
+ * @return {Object}                      Index name => index definition of the indexes that exist, with the
+ *                                       name in the database as dbName when it differs, and constraint set
+ *                                       when the index belongs to a unique constraint
+ */
+function existingIndexes(modelIndexes, dbIndexes, constraints = []) {
+    const indexes = {};
+
+    Object.values(modelIndexes).forEach(index => {
+        const matches = dbIndexes.filter(
+            dbIndex =>
+                !dbIndex.primary &&
+                Boolean(dbIndex.unique) === index.unique &&
+                JSON.stringify(dbIndex.fields.map(field => field.attribute)) === JSON.stringify(index.fields)
+        );
+        const dbIndex = matches.find(match => match.name === index.name) || matches[0];
+
+        if (!dbIndex) {
+            return;
+        }
+
+        indexes[index.name] = { ...index };
+        if (dbIndex.name !== index.name) {
+            indexes[index.name].dbName = dbIndex.name;
+        }
+        // SQLite lists the index of a UNIQUE constraint with origin "u"
+        if (constraints.includes(dbIndex.name) || dbIndex.origin === 'u') {
+            indexes[index.name].constraint = true;
+        }
+    });
+
+    return indexes;
+}
+
+/**
+ * Carry the database names of unchanged indexes over from the stored table definition to the
+ * current one, so later migrations find them by the name they have in the database
+ * @method keepDatabaseNames
+ * @param  {Object} [previous] Stored table definition, undefined if the table does not exist
+ * @param  {Object} current    Table definition built from the model, updated in place
+ */
+function keepDatabaseNames(previous, current) {
+    Object.values(current.indexes).forEach(index => {
+        const stored = previous && previous.indexes[index.name];
+
+        if (
+            !stored ||
+            stored.unique !== index.unique ||
+            JSON.stringify(stored.fields) !== JSON.stringify(index.fields)
+        ) {
+            return;
+        }
+        if (stored.dbName) {
+            index.dbName = stored.dbName;
+        }
+        if (stored.constraint) {
+            index.constraint = true;
+        }
+    });
+}
+
+/**
+ * Compute the ordered up/down steps that turn one table definition into another
+ * @method diffTable
+ * @param  {String}  tableName Name of the table
+ * @param  {Object}  [previous] Stored table definition, undefined if the table does not exist
+ * @param  {Object}  current   Table definition built from the model
+ * @return {Array<Object>}     List of { up, down } steps
+ */
+function diffTable(tableName, previous, current) {
+    const steps = [];
+    const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    if (!previous) {
+        steps.push({
+            up: { action: 'createTable', table: tableName, attributes: current.columns },
+            down: { action: 'dropTable', table: tableName }
+        });
+        Object.values(current.indexes).forEach(index => {
+            steps.push({
+                up: { action: 'addIndex', table: tableName, index },
+                down: { action: 'removeIndex', table: tableName, index }
+            });
+        });
+
+        return steps;
+    }
+
+    Object.values(previous.indexes).forEach(index => {
+        const currentIndex = current.indexes[index.name];
+
+        if (!currentIndex || !isEqual(index, currentIndex)) {
+            steps.push({
+                up: { action: 'removeIndex', table: tableName, index },
+                down: { action: 'addIndex', table: tableName, index }
+            });
+        }
+    });
+
+    Object.keys(current.columns).forEach(column => {
+        const attribute = current.columns[column];
+        const previousAttribute = previous.columns[column];
+
+        if (!previousAttribute) {
+            steps.push({
+                up: { action: 'addColumn', table: tableName, column, attribute },
+                down: { action: 'removeColumn', table: tableName, column, attribute }
+            });
+        } else if (!isEqual(attribute, previousAttribute)) {
+            steps.push({
+                up: { action: 'changeColumn', table: tableName, column, attribute, previous: previousAttribute },
+                down: {
+                    action: 'changeColumn',
+                    table: tableName,
+                    column,
+                    attribute: previousAttribute,
+                    previous: attribute
+                }
+            });
+        }
+    });
+
+    Object.keys(previous.columns).forEach(column => {
+        if (!current.columns[column]) {
+            steps.push({
+                up: { action: 'removeColumn', table: tableName, column, attribute: previous.columns[column] },
+                down: { action: 'addColumn', table: tableName, column, attribute: previous.columns[column] }
+            });
+        }
+    });
+
+    Object.values(current.indexes).forEach(index => {
+        const previousIndex = previous.indexes[index.name];
+
+        if (!previousIndex || !isEqual(index, previousIndex)) {
+            steps.push({
+                up: { action: 'addIndex', table: tableName, index },
+                down: { action: 'removeIndex', table: tableName, index }
+            });
+        }
+    });
+
+    return steps.sort((a, b) => ACTION_ORDER.indexOf(a.up.action) - ACTION_ORDER.indexOf(b.up.action));
+}
+
+/**
+ * Classify a column type by family and size, so that two types can be compared
+ * @method typeCapacity
+ * @param  {String} type Column type (eg: VARCHAR(64), MEDIUMTEXT, DOUBLE PRECISION)
+ * @return {Object}      { family, size }
+ */
+function typeCapacity(type) {
+    const [, base, length] = /^(\w+)(?:\((\d+)\))?/.exec(String(type).toUpperCase()) || [];
+
+    if (base === 'VARCHAR' || base === 'CHAR' || base === 'CHARACTER') {
+        return { family: 'string', size: Number(length) || 1 };
+    }
+    if (TEXT_SIZES[base]) {
+        return { family: 'string', size: TEXT_SIZES[base] };
+    }
+    if (NUMBER_TYPES.includes(base)) {
+        return { family: 'number', size: NUMBER_TYPES.indexOf(base) };
+    }
+
+    return { family: base, size: 0 };
+}
+
+/**
+ * Explain why a migration step may lose data or fail on existing rows
+ * @method destructiveReason
+ * @param  {Object}      step Up half of a migration step
+ * @return {String|null}      Reason, or null when the step is safe
+ */
+function destructiveReason(step) {
+    const { column, attribute, previous } = step;
+    const requiresValue = attr => attr.allowNull === false && attr.defaultValue === undefined && !attr.autoIncrement;
+
+    switch (step.action) {
+        case 'removeColumn':
+            return `drops column "${column}" and its data`;
+        case 'addColumn':
+            return requiresValue(attribute) ? `adds NOT NULL column "${column}" without a default` : null;
+        case 'changeColumn': {
+            const from = typeCapacity(previous.type);
+            const to = typeCapacity(attribute.type);
+
+            if (from.family !== to.family) {
+                return `changes column "${column}" from ${previous.type} to ${attribute.type}`;
+            }
+            if (to.size < from.size) {
+                return `narrows column "${column}" from ${previous.type} to ${attribute.type}`;
+            }
+            if (requiresValue(attribute) && previous.allowNull !== false) {
+                return `makes column "${column}" NOT NULL without a default`;
+            }
+
+            return null;
+        }
+        case 'addIndex':
+            return step.index.unique
+                ? `adds unique index "${step.index.name}", which fails on duplicate rows and locks the table while built`
+                : null;
+        default:
+            return null;
+    }
+}
+
+class Migrator {
+    /**
+     * Constructs a Migrator, which keeps the database schema in line with the Sequelize models
+     * @param  {Object}    config                          Configuration object
+     * @param  {Sequelize} config.client                   Sequelize client
+     * @param  {Object}    config.tables                   Map of model table name to Sequelize model
+     * @param  {String}    [config.prefix]                 Prefix to add before the migration table names
+     * @param  {Integer}   [config.lockTimeout=60000]      How long to wait for the migration lock in ms
+     * @param  {Integer}   [config.lockRetryInterval=1000] How long to wait between lock attempts in ms
+     * @param  {Integer}   [config.lockExpiry=600000]      How long a lock that is not refreshed is held, in ms,
+     *                                                     before another process takes it over
+     */
+    constructor(config) {
+        this.client = config.client;
+        this.tables = config.tables;
+        this.prefix = config.prefix || '';
+        this.lockTimeout = config.lockTimeout || 60000;
+        this.lockRetryInterval = config.lockRetryInterval || 1000;
+        this.lockExpiry = config.lockExpiry || 600000;
+        this.owner = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Define (once) the tables used to record migrations and hold the migration lock
+     * @method _metaTables
+     * @return {Object} Sequelize models { migrations, lock }
+     */
+    _metaTables() {
+        if (!this.metaTables) {
+            this.metaTables = {
+                migrations: this.client.define(
+                    `${this.prefix}${MIGRATIONS_TABLE}`,
+                    {
+                        version: { type: Sequelize.INTEGER, primaryKey: true },
+                        name: { type: Sequelize.STRING(128), allowNull: false },
+                        steps: { type: Sequelize.TEXT('medium'), allowNull: false },
+                        snapshot: { type: Sequelize.TEXT('medium'), allowNull: false },
+                        appliedAt: { type: Sequelize.DATE, allowNull: false }
+                    },
+                    { timestamps: false }
+                ),
+                lock: this.client.define(
+                    `${this.prefix}${LOCK_TABLE}`,
+                    {
+                        id: { type: Sequelize.INTEGER, primaryKey: true },
+                        owner: { type: Sequelize.STRING(255), allowNull: false },
+                        lockedAt: { type: Sequelize.DATE, allowNull: false }
+                    },
+                    { timestamps: false }
+                )
+            };
+        }
+
+        return this.metaTables;
+    }
+
+    /**
+     * Describe every model table as it is currently defined
+     * @method snapshot
+     * @return {Object} Table name => table definition
+     */
+    snapshot() {
+        const snapshot = {};
+
+        Object.values(this.tables).forEach(table => {
+            snapshot[table.getTableName()] = describeModel(table);
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * List the migrations applied so far, oldest first
+     * @method history
+     * @return {Promise} Resolves to a list of { version, name, steps, snapshot, appliedAt }
+     */
+    history() {
+        const { migrations } = this._metaTables();
+
+        return (
+            this.client
+                .getQueryInterface()
+                .tableExists(migrations.getTableName())
+                // Read from the primary, a replica may lag behind the last migration
+                .then(exists => (exists ? migrations.findAll({ order: [['version', 'ASC']], useMaster: true }) : []))
+                .then(rows =>
+                    rows.map(row => {
+                        const migration = row.get({ plain: true });
+
+                        migration.steps = JSON.parse(migration.steps);
+                        migration.snapshot = JSON.parse(migration.snapshot);
+
+                        return migration;
+                    })
+                )
+        );
+    }
+
+    /**
+     * Build the stored schema when no migration has been recorded yet.
+     * Tables that already exist (e.g. created by an earlier sync) are assumed to match
+     * their model, except for columns and indexes that are missing from the database.
+     * @method _baseline
+     * @param  {Object}  current Current snapshot
+     * @return {Promise}         Resolves to the baseline snapshot
+     */
+    _baseline(current) {
+        const queryInterface = this.client.getQueryInterface();
+        const baseline = {};
+
+        return series(Object.keys(current), tableName =>
+            queryInterface.tableExists(tableName).then(exists => {
+                if (!exists) {
+                    return null;
+                }
+
+                return Promise.all([
+                    queryInterface.describeTable(tableName),
+                    queryInterface.showIndex(tableName),
+                    // Postgres drops the index of a unique constraint with the constraint only
+                    this.client.getDialect() === 'postgres' ? queryInterface.showConstraint(tableName) : []
+                ]).then(([description, dbIndexes, constraints]) => {
+                    const columns = {};
+
+                    Object.keys(current[tableName].columns).forEach(column => {
+                        if (description[column]) {
+                            columns[column] = current[tableName].columns[column];
+                        }
+                    });
+
+                    baseline[tableName] = {
+                        columns,
+                        indexes: existingIndexes(
+                            current[tableName].indexes,
+                            dbIndexes,
+                            constraints
+                                .filter(constraint => constraint.constraintType === 'UNIQUE')
+                                .map(constraint => constraint.constraintName)
+                        )
+                    };
+
+                    return null;
+                });
+            })
+        ).then(() => baseline);
+    }
+
+    /**
+     * Compute the migration needed to bring the database in line with the models
+     * @method plan
+     * @return {Promise} Resolves to { version, name, steps, snapshot }
+     */
+    plan() {
+        const current = this.snapshot();
+
+        return this.history()
+            .then(applied => {
+                if (applied.length === 0) {
+                    return this._baseline(current).then(previous => ({ previous, version: 1, name: 'baseline' }));
+                }
+
+                const last = applied[applied.length - 1];
+
+                return { previous: last.snapshot, version: last.version + 1, name: `migration-${last.version + 1}` };
+            })
+            .then(({ previous, version, name }) => {
+                const steps = [];
+
+                Object.keys(current).forEach(tableName => {
+                    keepDatabaseNames(previous[tableName], current[tableName]);
+                    steps.push(...diffTable(tableName, previous[tableName], current[tableName]));
+                });
+
+                return { version, name, steps, snapshot: current };
+            });
+    }
+
+    /**
+     * Render the SQL statements a migration step runs, without running them
+     * @method _renderStep
+     * @param  {Object}        step     Up half of a migration step
+     * @param  {Object}        snapshot Snapshot the migration leads to
+     * @return {Array<String>}          SQL statements
+     */
+    _renderStep(step, snapshot) {
+        const { queryGenerator } = this.client.getQueryInterface();
+        const normalize = attribute => this.client.normalizeAttribute({ ...attribute });
+        const normalizeAll = columns => {
+            const normalized = {};
+
+            Object.keys(columns).forEach(column => {
+                normalized[column] = normalize(columns[column]);
+            });
+
+            return normalized;
+        };
+        const options = { table: step.table, context: step.action };
+        // SQLite cannot alter or drop columns, so the table is rebuilt from the target definition
+        const rebuild = this.client.getDialect() === 'sqlite';
+        let sql;
+
+        switch (step.action) {
+            case 'createTable':
+                sql = queryGenerator.createTableQuery(
+                    step.table,
+                    queryGenerator.attributesToSQL(normalizeAll(step.attributes), options),
+                    {}
+                );
+                break;
+            case 'addColumn':
+                sql = queryGenerator.addColumnQuery(step.table, step.column, normalize(step.attribute));
+                break;
+            case 'changeColumn':
+                sql = rebuild
+                    ? queryGenerator.removeColumnQuery(step.table, normalizeAll(snapshot[step.table].columns))
+                    : (this._jsonCastQuery(step) || '') +
+                      queryGenerator.changeColumnQuery(
+                          step.table,
+                          queryGenerator.attributesToSQL({ [step.column]: normalize(step.attribute) }, options)
+                      );
+                break;
+            case 'removeColumn':
+                sql = rebuild
+                    ? queryGenerator.removeColumnQuery(step.table, normalizeAll(snapshot[step.table].columns))
+                    : queryGenerator.removeColumnQuery(step.table, step.column);
+                break;
+            case 'addIndex':
+                sql = queryGenerator.addIndexQuery(step.table, {
+                    fields: step.index.fields,
+                    name: step.index.name,
+                    unique: step.index.unique
+                });
+                break;
+            case 'removeIndex':
+                if (!step.index.constraint) {
+                    sql = queryGenerator.removeIndexQuery(step.table, step.index.dbName || step.index.name);
+                } else if (rebuild) {
+                    sql = queryGenerator.removeColumnQuery(step.table, normalizeAll(snapshot[step.table].columns));
+                } else {
+                    sql = queryGenerator.removeConstraintQuery(step.table, step.index.dbName || step.index.name);
+                }
+                break;
+            default:
+                throw new Error(`Unknown migration step "${step.action}"`);
+        }
+
+        return sql
+            .split(';')
+            .map(statement => statement.trim())
+            .filter(statement => statement !== '')
+            .map(statement => `${statement};`);
+    }
+
+    /**
+     * Postgres only converts text to JSON/JSONB with an explicit cast, which changeColumn does not add
+     * @method _jsonCastQuery
+     * @param  {Object}      step changeColumn step
+     * @return {String|null}      ALTER statement casting the existing values, or null when not needed
+     */
+    _jsonCastQuery(step) {
+        const type = String(step.attribute.type).toUpperCase();
+        const previousType = String(step.previous.type).toUpperCase();
+
+        if (this.client.getDialect() !== 'postgres' || !type.startsWith('JSON') || previousType.startsWith('JSON')) {
+            return null;
+        }
+
+        const { queryGenerator } = this.client.getQueryInterface();
+        const column = queryGenerator.quoteIdentifier(step.column);
+
+        return `ALTER TABLE ${queryGenerator.quoteTable(step.table)} ALTER COLUMN ${column} TYPE ${type} USING (${column}::${type});`;
+    }
+
+    /**
+     * Describe the pending migration per table without touching the database schema
+     * @method preview
+     * @return {Promise} Resolves to { version, name, tables }, where tables maps every
+     *                   model table to { statements, destructive }
+     */
+    preview() {
+        return this.plan().then(migration => {
+            const tables = {};
+
+            Object.keys(migration.snapshot).forEach(tableName => {
+                tables[tableName] = { statements: [], destructive: [] };
+            });
+
+            // Nothing is at risk in tables the migration creates
+            const created = migration.steps.filter(({ up }) => up.action === 'createTable').map(({ up }) => up.table);
+
+            migration.steps.forEach(({ up }) => {
+                const reason = created.includes(up.table) ? null : destructiveReason(up);
+
+                tables[up.table].statements.push(...this._renderStep(up, migration.snapshot));
+
+                if (reason && up.index) {
+                    tables[up.table].destructive.push({ action: up.action, index: up.index.name, reason });
+                } else if (reason) {
+                    tables[up.table].destructive.push({ action: up.action, column: up.column, reason });
+                }
+            });
+
+            return { version: migration.version, name: migration.name, tables };
+        });
+    }
+
+    /**
+     * Run a single migration step against the database
+     * @method _runStep
+     * @param  {Object}  step Step description (the up or down half of a step)
+     * @return {Promise}
+     */
+    _runStep(step) {
+        const queryInterface = this.client.getQueryInterface();
+
+        logger.info(`Migration step: ${step.action} on ${step.table} ${step.column || (step.index || {}).name || ''}`);
+
+        switch (step.action) {
+            case 'createTable':
+                return queryInterface.createTable(step.table, step.attributes);
+            case 'dropTable':
+                return queryInterface.dropTable(step.table);
+            case 'addColumn':
+                return queryInterface.addColumn(step.table, step.column, step.attribute);
+            case 'changeColumn':
+                return (
+                    this._jsonCastQuery(step) ? this.client.query(this._jsonCastQuery(step)) : Promise.resolve()
+                ).then(() => queryInterface.changeColumn(step.table, step.column, step.attribute));
+            case 'removeColumn':
+                return queryInterface.removeColumn(step.table, step.column);
+            case 'addIndex':
+                return queryInterface.addIndex(step.table, step.index.fields, {
+                    name: step.index.name,
+                    unique: step.index.unique
+                });
+            case 'removeIndex':
+                return this._removeIndex(step.table, step.index);
+            default:
+                return Promise.reject(new Error(`Unknown migration step "${step.action}"`));
+        }
+    }
+
+    /**
+     * Remove an index by the name it has in the database. The index of a unique constraint is removed
+     * with the constraint, which SQLite can only do by rebuilding the table
+     * @method _removeIndex
+     * @param  {String}  tableName Table name
+     * @param  {Object}  index     Index definition
+     * @return {Promise}
+     */
+    _removeIndex(tableName, index) {
+        const queryInterface = this.client.getQueryInterface();
+        const name = index.dbName || index.name;
+
+        if (!index.constraint) {
+            return queryInterface.removeIndex(tableName, name);
+        }
+        if (this.client.getDialect() !== 'sqlite') {
+            return queryInterface.removeConstraint(tableName, name);
+        }
+
+        // Dropping the old table drops its other indexes too, so they are created again
+        return Promise.all([
+            this.client.query(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = :tableName`, {
+                replacements: { tableName },
+                type: Sequelize.QueryTypes.SELECT
+            }),
+            queryInterface.showIndex(tableName)
+        ]).then(([[table], dbIndexes]) =>
+            series(this._rebuildWithoutUniqueQuery(tableName, index, table.sql), statement =>
+                this.client.query(`${statement};`, { raw: true })
+            ).then(() =>
+                series(
+                    dbIndexes.filter(dbIndex => dbIndex.origin === 'c'),
+                    dbIndex =>
+                        queryInterface.addIndex(
+                            tableName,
+                            dbIndex.fields.map(field => field.attribute),
+                            { name: dbIndex.name, unique: Boolean(dbIndex.unique) }
+                        )
+                )
+            )
+        );
+    }
+
+    /**
+     * Statements rebuilding a SQLite table without one of its UNIQUE constraints
+     * @method _rebuildWithoutUniqueQuery
+     * @param  {String}        tableName Table name
+     * @param  {Object}        index     Index definition of the constraint
+     * @param  {String}        createSql CREATE TABLE statement of the table
+     * @return {Array<String>}           SQL statements
+     */
+    _rebuildWithoutUniqueQuery(tableName, index, createSql) {
+        const { queryGenerator } = this.client.getQueryInterface();
+        const table = queryGenerator.quoteTable(tableName);
+        const backup = queryGenerator.quoteTable(`${tableName}_backup`);
+        // As written by createTable for the unique keys of a model
+        const unique = `, UNIQUE (${index.fields.map(field => queryGenerator.quoteIdentifier(field)).join(', ')})`;
+
+        if (!createSql.includes(unique)) {
+            throw new Error(
+                `Cannot find the UNIQUE constraint of index "${index.dbName || index.name}" in "${tableName}"`
+            );
+        }
+
+        return [
+            createSql.replace(unique, '').replace(/^CREATE TABLE (IF NOT EXISTS )?\S+/, `CREATE TABLE ${backup}`),
+            `INSERT INTO ${backup} SELECT * FROM ${table}`,
+            `DROP TABLE ${table}`,
+            `ALTER TABLE ${backup} RENAME TO ${table}`
+        ];
+    }
+
+    /**
+     * Run the down half of already applied steps, newest first.
+     * Failures are logged so that the original error is the one surfaced.
+     * @method _revertSteps
+     * @param  {Array<Object>} steps Applied steps
+     * @return {Promise}
+     */
+    _revertSteps(steps) {
+        return series(steps.slice().reverse(), step =>
+            this._runStep(step.down).catch(err => {
+                logger.error(`Failed to revert migration step ${step.down.action} on ${step.down.table}`, err);
+            })
+        );
+    }
+
+    /**
+     * Acquire the migration lock, waiting up to lockTimeout for another process to release it.
+     * A lock that was not refreshed for lockExpiry, eg: because its process crashed, is taken over.
+     * @method _lock
+     * @return {Promise}
+     */
+    _lock() {
+        const { lock } = this._metaTables();
+        const deadline = Date.now() + this.lockTimeout;
+        const removeExpired = () =>
+            lock.destroy({
+                where: { id: LOCK_ID, lockedAt: { [Sequelize.Op.lt]: new Date(Date.now() - this.lockExpiry) } }
+            });
+        const attempt = () =>
+            lock.create({ id: LOCK_ID, owner: this.owner, lockedAt: new Date() }).catch(err => {
+                if (err.name !== 'SequelizeUniqueConstraintError') {
+                    throw err;
+                }
+
+                return removeExpired().then(removed => {
+                    if (removed > 0) {
+                        logger.warn(`Took over the migration lock, which was not refreshed for ${this.lockExpiry}ms`);
+
+                        return attempt();
+                    }
+                    if (Date.now() >= deadline) {
+                        throw new Error(
+                            `Timed out waiting for the migration lock; remove row ${LOCK_ID} from ` +
+                                `"${this.prefix}${LOCK_TABLE}" if no migration is running`
+                        );
+                    }
+
+                    return sleep(this.lockRetryInterval).then(attempt);
+                });
+            });
+
+        return lock
+            .sync()
+            .then(attempt)
+            .then(() => {
+                // Refreshed while held, so migrations running longer than lockExpiry keep their lock
+                this.lockRefresh = setInterval(() => {
+                    lock.update({ lockedAt: new Date() }, { where: { id: LOCK_ID, owner: this.owner } }).catch(err =>
+                        logger.warn('Failed to refresh the migration lock', err)
+                    );
+                }, this.lockExpiry / 3);
+                this.lockRefresh.unref();
+            });
+    }
+
+    /**
+     * Release the migration lock held by this process
+     * @method _unlock
+     * @return {Promise}
+     */
+    _unlock() {
+        const { lock } = this._metaTables();
+
+        clearInterval(this.lockRefresh);
+
+        return lock.destroy({ where: { id: LOCK_ID, owner: this.owner } });
+    }
+
+    /**
+     * Run a function while holding the migration lock
+     * @method _withLock
+     * @param  {Function} fn Function returning a Promise
+     * @return {Promise}     Resolves to the result of fn
+     */
+    _withLock(fn) {
+        return this._lock().then(() =>
+            fn().then(
+                result => this._unlock().then(() => result),
+                err =>
+                    this._unlock().then(() => {
+                        throw err;
+                    })
+            )
+        );
+    }
+
+    /**
+     * Apply pending schema changes and record them as a new migration.
+     * If a step fails, the steps already applied are reverted.
+     * @method migrate
+     * @return {Promise} Resolves to the applied migration, or null when there was nothing to do
+     */
+    migrate() {
+        return this._withLock(() =>
+            this.plan().then(migration => {
+                const applied = [];
+
+                if (migration.steps.length === 0 && migration.version > 1) {
+                    logger.info('Database schema is up to date');
+
+                    return null;
+                }
+
+                return series(migration.steps, step => this._runStep(step.up).then(() => applied.push(step)))
+                    .catch(err => {
+                        logger.error(`Migration ${migration.version} failed, reverting ${applied.length} step(s)`, err);
+
+                        return this._revertSteps(applied).then(() => {
+                            throw err;
+                        });
+                    })
+                    .then(() => this._metaTables().migrations.sync())
+                    .then(() =>
+                        this._metaTables().migrations.create({
+                            version: migration.version,
+                            name: migration.name,
+                            steps: JSON.stringify(migration.steps),
+                            snapshot: JSON.stringify(migration.snapshot),
+                            appliedAt: new Date()
+                        })
+                    )
+                    .then(() => {
+                        logger.info(`Applied migration ${migration.version} (${migration.steps.length} step(s))`);
+
+                        return migration;
+                    });
+            })
+        );
+    }
+
+    /**
+     * Revert the most recently applied migration
+     * @method rollback
+     * @return {Promise} Resolves to the reverted migration, or null when there was nothing to revert
+     */
+    rollback() {
+        return this._withLock(() =>
+            this.history().then(applied => {
+                const last = applied[applied.length - 1];
+
+                if (!last) {
+                    return null;
+                }
+
+                return series(last.steps.slice().reverse(), step => this._runStep(step.down))
+                    .then(() => this._metaTables().migrations.destroy({ where: { version: last.version } }))
+                    .then(() => {
+                        logger.info(`Reverted migration ${last.version}`);
+
+                        return last;
+                    });
+            })
+        );
+    }
+}
+
+module.exports = Migrator;
+module.exports.describeModel = describeModel;
+module.exports.diffTable = diffTable;
+module.exports.destructiveReason = destructiveReason;
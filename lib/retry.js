@@ -0,0 +1,107 @@
+'use strict';
+
+const Joi = require('joi');
+const errors = require('./errors');
+
+// Operations that leave the same data when they run twice, even if the first attempt was applied
+const IDEMPOTENT_OPERATIONS = {
+    get: true,
+    scan: true,
+    query: true,
+    findCorruptRecords: true,
+    update: true,
+    upsert: true,
+    remove: true,
+    bulkUpdate: true,
+    bulkRemove: true,
+    restore: true,
+    purge: true,
+    save: false,
+    bulkSave: false
+};
+// Sequelize errors raised while obtaining a connection, before any statement was sent
+const CONNECT_ERRORS = [
+    'SequelizeConnectionError',
+    'SequelizeConnectionRefusedError',
+    'SequelizeHostNotFoundError',
+    'SequelizeHostNotReachableError',
+    'SequelizeInvalidConnectionError',
+    'SequelizeConnectionTimedOutError',
+    'SequelizeConnectionAcquireTimeoutError'
+];
+const SCHEMA_RETRY = Joi.object({
+    maxAttempts: Joi.number().integer().min(1).default(1),
+    baseDelay: Joi.number().integer().min(0).default(100),
+    maxDelay: Joi.number().integer().min(0).default(5000),
+    idempotent: Joi.object()
+        .pattern(Joi.string().valid(...Object.keys(IDEMPOTENT_OPERATIONS)), Joi.boolean())
+        .default({})
+});
+
+/**
+ * Build the retry policy from the constructor config
+ * @method policy
+ * @param  {Object}  [config]              Retry config
+ * @param  {Number}  [config.maxAttempts]  Attempts per operation including the first one, defaults to 1 (no retry)
+ * @param  {Number}  [config.baseDelay]    Delay before the first retry in ms, doubled on every retry
+ * @param  {Number}  [config.maxDelay]     Upper bound of the delay in ms
+ * @param  {Object}  [config.idempotent]   Operation => whether it may run again after being applied
+ * @return {Object}                        { maxAttempts, baseDelay, maxDelay, idempotent }
+ */
+function policy(config = {}) {
+    const result = SCHEMA_RETRY.validate(config);
+
+    if (result.error) {
+        throw new Error(`Invalid retry policy: ${result.error.message}`);
+    }
+
+    return { ...result.value, idempotent: { ...IDEMPOTENT_OPERATIONS, ...result.value.idempotent } };
+}
+
+/**
+ * Whether a failure happened before the database could apply anything: the statement was
+ * rolled back because of a deadlock or serialization failure, or no connection was obtained
+ * @method isPreCommit
+ * @param  {DatastoreError} err Normalized error
+ * @return {Boolean}
+ */
+function isPreCommit(err) {
+    return err instanceof errors.DeadlockError || CONNECT_ERRORS.includes((err.cause || {}).name);
+}
+
+/**
+ * Whether an operation that failed with the error can be attempted again. A connection lost while
+ * a statement was running may have been applied, so only idempotent operations retry on it.
+ * @method isRetryable
+ * @param  {DatastoreError} err        Normalized error
+ * @param  {Boolean}        idempotent Whether the operation can run twice
+ * @return {Boolean}
+ */
+function isRetryable(err, idempotent) {
+    // Rejected credentials do not recover by waiting, see the credentials option instead
+    if (err instanceof errors.AuthenticationError) {
+        return false;
+    }
+
+    return isPreCommit(err) || (idempotent && err instanceof errors.ConnectionLostError);
+}
+
+/**
+ * Delay before the next attempt: exponential backoff with full jitter, so clients
+ * failing at the same time, eg: during a failover, do not retry all at once
+ * @method backoffDelay
+ * @param  {Number}  attempt          Number of the attempt that failed, starting at 1
+ * @param  {Object}  options
+ * @param  {Number}  options.baseDelay Delay before the first retry in ms
+ * @param  {Number}  options.maxDelay  Upper bound of the delay in ms
+ * @return {Number}                    Delay in ms
+ */
+function backoffDelay(attempt, { baseDelay, maxDelay }) {
+    return Math.round(Math.random() * Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)));
+}
+
+module.exports = {
+    backoffDelay,
+    isRetryable,
+    policy
+};
@@ -0,0 +1,276 @@
+'use strict';
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const logger = require('screwdriver-logger');
+
+// Prefix Sequelize adds to the statements it logs, with the connection or transaction id
+const LOG_PREFIX = /^Execut(?:ed|ing) \([^)]*\): /;
+// Tokens of a statement: literals, quoted identifiers, bind parameters, words, operators, whitespace and anything else
+const TOKEN_PATTERNS = [
+    ['string', "[EeNnXxBb]?'(?:[^']|'')*'"],
+    ['identifier', '"(?:[^"]|"")*"|`(?:[^`]|``)*`|\\[[^\\]]*\\]'],
+    ['parameter', '\\$\\d+|\\?'],
+    ['number', '\\b\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b'],
+    ['word', '[A-Za-z_][\\w$]*'],
+    ['operator', '[<>=!]+'],
+    ['space', '\\s+'],
+    ['other', '[\\s\\S]']
+];
+// MySQL also escapes quotes in string literals with a backslash
+const BACKSLASH_STRING = "[EeNnXxBb]?'(?:[^'\\\\]|\\\\[\\s\\S]|'')*'";
+// Words between a column and the values it is compared to, eg: "status" NOT IN ('A', 'B')
+const COMPARISON_WORDS = ['IN', 'NOT', 'IS', 'LIKE', 'ILIKE', 'BETWEEN', 'AND'];
+const VALUE_TYPES = ['string', 'number'];
+const SCHEMA_SLOWLOG = Joi.object({
+    allowedColumns: Joi.array().items(Joi.string()).default([]),
+    sampleRate: Joi.number().min(0).max(1).default(1),
+    interval: Joi.number().integer().min(0).default(60000)
+});
+
+/**
+ * Split a statement into tokens
+ * @method tokenize
+ * @param  {String}  sql               SQL statement
+ * @param  {Boolean} backslashEscapes  Whether string literals escape quotes with a backslash, eg: on MySQL
+ * @return {Array}                     [{ type, text }]
+ */
+function tokenize(sql, backslashEscapes) {
+    const patterns = TOKEN_PATTERNS.map(([type, pattern]) =>
+        type === 'string' && backslashEscapes ? [type, BACKSLASH_STRING] : [type, pattern]
+    );
+    const regex = new RegExp(patterns.map(([type, pattern]) => `(?<${type}>${pattern})`).join('|'), 'g');
+
+    return Array.from(sql.matchAll(regex), match => {
+        const type = Object.keys(match.groups).find(name => match.groups[name] !== undefined);
+
+        return { type, text: match[0] };
+    });
+}
+
+/**
+ * Name of a quoted identifier, the column for a qualified name such as `builds`.`id`
+ * @method unquote
+ * @param  {String} identifier Quoted identifier
+ * @return {String}            Column name
+ */
+function unquote(identifier) {
+    return identifier.slice(1, -1);
+}
+
+/**
+ * Find the column each value of a statement is compared to or inserted into
+ * @method valueColumns
+ * @param  {Array} tokens Tokens without whitespace, see tokenize()
+ * @return {Map}          Index of the value token => column name, values of unknown columns are missing
+ */
+function valueColumns(tokens) {
+    const columns = new Map();
+    let insertColumns = null;
+    let collecting = false;
+    let inValues = false;
+    let depth = 0;
+    let position = 0;
+
+    tokens.forEach(({ type, text }, index) => {
+        const keyword = type === 'word' ? text.toUpperCase() : null;
+
+        // INSERT INTO "table" ("a", "b") VALUES ('x', 1), ('y', 2)
+        if (keyword === 'INSERT') {
+            insertColumns = [];
+            inValues = false;
+        } else if (insertColumns && !inValues && text === '(' && insertColumns.length === 0) {
+            collecting = true;
+        } else if (collecting && type === 'identifier') {
+            insertColumns.push(unquote(text));
+        } else if (collecting && text === ')') {
+            collecting = false;
+        } else if (keyword === 'VALUES' && insertColumns) {
+            inValues = true;
+            depth = 0;
+        } else if (inValues && text === '(') {
+            depth += 1;
+            position = depth === 1 ? 0 : position;
+        } else if (inValues && text === ')') {
+            depth -= 1;
+        } else if (inValues && depth === 1 && text === ',') {
+            position += 1;
+        } else if (inValues && depth === 0 && text !== ',') {
+            inValues = false;
+            insertColumns = null;
+        }
+
+        if (!VALUE_TYPES.includes(type)) {
+            return;
+        }
+        if (inValues && depth === 1) {
+            columns.set(index, insertColumns[position]);
+
+            return;
+        }
+
+        // "a" = 'x', "a" IN ('x', 'y'), "a" BETWEEN 1 AND 2
+        let compared = false;
+
+        for (let i = index - 1; i >= 0; i -= 1) {
+            const token = tokens[i];
+
+            if (token.type === 'identifier') {
+                if (compared) {
+                    columns.set(index, unquote(token.text));
+                }
+
+                return;
+            }
+            if (
+                token.type === 'operator' ||
+                (token.type === 'word' && COMPARISON_WORDS.includes(token.text.toUpperCase()))
+            ) {
+                compared = true;
+            } else if (
+                !VALUE_TYPES.includes(token.type) &&
+                token.type !== 'parameter' &&
+                !['(', ','].includes(token.text)
+            ) {
+                return;
+            }
+        }
+    });
+
+    return columns;
+}
+
+/**
+ * Replace the values of a statement with ?, except those of allowed columns
+ * @method redact
+ * @param  {String}  sql                        SQL statement
+ * @param  {Object}  [options]
+ * @param  {Array}   [options.allowedColumns]   Columns whose values are safe to log
+ * @param  {Boolean} [options.backslashEscapes] Whether string literals escape quotes with a backslash
+ * @return {String}                             Redacted statement
+ */
+function redact(sql, { allowedColumns = [], backslashEscapes = false } = {}) {
+    const tokens = tokenize(sql, backslashEscapes);
+    const significant = tokens.filter(token => token.type !== 'space');
+    const columns = valueColumns(significant);
+    const allowed = new Set(significant.filter((token, index) => allowedColumns.includes(columns.get(index))));
+
+    return tokens.map(token => (VALUE_TYPES.includes(token.type) && !allowed.has(token) ? '?' : token.text)).join('');
+}
+
+/**
+ * Shape of a statement shared by all its executions: values and bind parameters replaced, lists collapsed
+ * @method fingerprint
+ * @param  {String}  sql                SQL statement
+ * @param  {Boolean} [backslashEscapes] Whether string literals escape quotes with a backslash
+ * @return {Object}                     { fingerprint, statement }: hash of the shape, and the shape
+ */
+function fingerprint(sql, backslashEscapes = false) {
+    const statement = tokenize(sql, backslashEscapes)
+        .map(({ type, text }) => {
+            if (type === 'space') {
+                return ' ';
+            }
+
+            return VALUE_TYPES.includes(type) || type === 'parameter' ? '?' : text;
+        })
+        .join('')
+        .trim()
+        .replace(/\( ?\?(?: ?, ?\?)* ?\)/g, '(?)')
+        .replace(/(\([^()]*\))(?: ?, ?\1)+/g, '$1');
+
+    return {
+        fingerprint: crypto.createHash('sha1').update(statement).digest('hex').slice(0, 16),
+        statement
+    };
+}
+
+class SlowQueryLog {
+    /**
+     * Log of slow queries: statements are redacted, sampled and aggregated by fingerprint
+     * @param  {Object}  [config]                   Configuration object
+     * @param  {Array}   [config.allowedColumns]    Columns whose values are safe to log, others are replaced with ?
+     * @param  {Number}  [config.sampleRate=1]      Share of slow queries logged one by one, from 0 to 1
+     * @param  {Integer} [config.interval=60000]    How often the summary per fingerprint is logged in ms,
+     *                                              0 to not aggregate
+     * @param  {String}  [dialect]                  Dialect of the database
+     */
+    constructor(config, dialect) {
+        const result = SCHEMA_SLOWLOG.validate(config || {});
+
+        if (result.error) {
+            throw new Error(`Invalid slowlog: ${result.error.message}`);
+        }
+
+        Object.assign(this, result.value);
+        this.backslashEscapes = ['mysql', 'mariadb'].includes(dialect);
+        this.summaries = new Map();
+        this.timer = null;
+    }
+
+    /**
+     * Record a slow query
+     * @method record
+     * @param  {String} message Statement logged by Sequelize
+     * @param  {Number} time    Execution time in ms
+     */
+    record(message, time) {
+        const sql = message.replace(LOG_PREFIX, '');
+        const { fingerprint: hash, statement } = fingerprint(sql, this.backslashEscapes);
+
+        if (Math.random() < this.sampleRate) {
+            const redacted = redact(sql, this);
+
+            logger.info(`Slow log detected: ${redacted}, executed in ${time}ms`, { fingerprint: hash });
+        }
+
+        if (this.interval === 0) {
+            return;
+        }
+
+        const summary = this.summaries.get(hash) || { statement, count: 0, totalTime: 0, maxTime: 0 };
+
+        summary.count += 1;
+        summary.totalTime += time;
+        summary.maxTime = Math.max(summary.maxTime, time);
+        this.summaries.set(hash, summary);
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.flush(), this.interval);
+            // Does not keep the process alive
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Log the summary of the slow queries recorded since the last flush, per fingerprint
+     * @method flush
+     */
+    flush() {
+        this.summaries.forEach((summary, hash) => {
+            logger.info(`Slow query summary: ${summary.statement}`, {
+                fingerprint: hash,
+                count: summary.count,
+                totalTime: summary.totalTime,
+                maxTime: summary.maxTime
+            });
+        });
+        this.summaries.clear();
+    }
+
+    /**
+     * Log the remaining summaries and stop the flush timer
+     * @method stop
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.flush();
+    }
+}
+
+module.exports = {
+    SlowQueryLog,
+    fingerprint,
+    redact
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const logger = require('screwdriver-logger');
+const errors = require('./errors');
+
+// Statement setting the statement timeout of a session in ms, 0 disables it
+const SET_TIMEOUT = {
+    postgres: timeout => `SET statement_timeout = ${timeout}`,
+    // Only applies to SELECT statements
+    mysql: timeout => `SET SESSION max_execution_time = ${timeout}`,
+    mariadb: timeout => `SET SESSION max_statement_time = ${timeout / 1000}`
+};
+// Statement cancelling the statement a connection is running, sent on another connection
+const CANCEL = {
+    postgres: connection => `SELECT pg_cancel_backend(${Number(connection.processID)})`,
+    mysql: connection => `KILL QUERY ${Number(connection.threadId)}`,
+    mariadb: connection => `KILL QUERY ${Number(connection.threadId)}`
+};
+// SQLite has no statement timeout, statements are interrupted on the connection instead
+const INTERRUPT_DIALECTS = ['sqlite'];
+const SUPPORTED_DIALECTS = [...Object.keys(SET_TIMEOUT), ...INTERRUPT_DIALECTS];
+
+/**
+ * Run a statement on a connection of the database driver, outside of Sequelize
+ * @method runOn
+ * @param  {String}  dialect    Dialect of the database
+ * @param  {Object}  connection Driver connection
+ * @param  {String}  sql        SQL statement
+ * @return {Promise}
+ */
+function runOn(dialect, connection, sql) {
+    // mariadb connections return a promise, pg and mysql2 connections take a callback
+    if (dialect === 'mariadb') {
+        return connection.query(sql);
+    }
+
+    return new Promise((resolve, reject) => {
+        connection.query(sql, err => (err ? reject(err) : resolve()));
+    });
+}
+
+/**
+ * Set the statement timeout of a new connection
+ * @method setSessionTimeout
+ * @param  {String}  dialect    Dialect of the database
+ * @param  {Object}  connection Driver connection
+ * @param  {Number}  timeout    Statement timeout in ms
+ * @return {Promise}
+ */
+function setSessionTimeout(dialect, connection, timeout) {
+    return SET_TIMEOUT[dialect] ? runOn(dialect, connection, SET_TIMEOUT[dialect](timeout)) : Promise.resolve();
+}
+
+class StatementLimits {
+    /**
+     * Statement timeout and cancellation of one operation, applied to each statement it runs
+     * @param  {Object}      limits
+     * @param  {Number}      [limits.timeout]        Statement timeout in ms
+     * @param  {AbortSignal} [limits.signal]         Cancels the running statement when aborted
+     * @param  {Object}      context
+     * @param  {String}      context.dialect         Dialect of the database
+     * @param  {Number}      [context.sessionTimeout] Statement timeout of the connections in ms, restored after
+     *                                               each statement
+     * @param  {Function}    context.query           Runs a statement on another connection, returns a Promise
+     */
+    constructor({ timeout, signal }, { dialect, sessionTimeout, query }) {
+        this.timeout = timeout;
+        this.signal = signal;
+        this.dialect = dialect;
+        this.sessionTimeout = sessionTimeout || 0;
+        this.query = query;
+        this.timedOut = false;
+        // Sequelize query => timer interrupting it, for each statement running
+        this.running = new Map();
+        this.onAbort = () => this.cancel();
+
+        if (signal) {
+            signal.addEventListener('abort', this.onAbort);
+        }
+    }
+
+    /**
+     * Whether the dialect supports statement timeouts and cancellation
+     * @method isSupported
+     * @param  {String}  dialect Dialect of the database
+     * @return {Boolean}
+     */
+    static isSupported(dialect) {
+        return SUPPORTED_DIALECTS.includes(dialect);
+    }
+
+    /**
+     * Whether the dialect sets the statement timeout per connection, others apply it to each statement
+     * @method hasSessionTimeout
+     * @param  {String}  dialect Dialect of the database
+     * @return {Boolean}
+     */
+    static hasSessionTimeout(dialect) {
+        return Boolean(SET_TIMEOUT[dialect]);
+    }
+
+    /**
+     * Whether the statement timeout of a connection differs from the one of the session
+     * @method overridesSession
+     * @return {Boolean}
+     */
+    overridesSession() {
+        return Boolean(this.timeout) && this.timeout !== this.sessionTimeout && Boolean(SET_TIMEOUT[this.dialect]);
+    }
+
+    /**
+     * Apply the limits to a statement about to run
+     * @method before
+     * @param  {Query}   query Sequelize query, with the driver connection it runs on
+     * @return {Promise}
+     */
+    before(query) {
+        if (this.signal && this.signal.aborted) {
+            return Promise.reject(this.cancelledError());
+        }
+
+        let timer = null;
+
+        if (this.timeout && INTERRUPT_DIALECTS.includes(this.dialect)) {
+            timer = setTimeout(() => {
+                this.timedOut = true;
+                query.connection.interrupt();
+            }, this.timeout);
+        }
+        this.running.set(query, timer);
+
+        return this.overridesSession()
+            ? setSessionTimeout(this.dialect, query.connection, this.timeout)
+            : Promise.resolve();
+    }
+
+    /**
+     * Restore the connection once the statement finished
+     * @method after
+     * @param  {Query}   query Sequelize query
+     * @return {Promise}
+     */
+    after(query) {
+        clearTimeout(this.running.get(query));
+        this.running.delete(query);
+
+        if (!this.overridesSession()) {
+            return Promise.resolve();
+        }
+
+        // Fails in a Postgres transaction aborted by the statement, whose rollback restores the timeout
+        return setSessionTimeout(this.dialect, query.connection, this.sessionTimeout).catch(err => {
+            logger.warn('Could not restore the statement timeout', { error: err.message });
+        });
+    }
+
+    /**
+     * Cancel the statements running
+     * @method cancel
+     */
+    cancel() {
+        this.running.forEach((timer, { connection }) => {
+            if (INTERRUPT_DIALECTS.includes(this.dialect)) {
+                connection.interrupt();
+            } else if (CANCEL[this.dialect]) {
+                this.query(CANCEL[this.dialect](connection)).catch(err => {
+                    logger.warn('Could not cancel the running statement', { error: err.message });
+                });
+            }
+        });
+    }
+
+    /**
+     * Error of a cancelled operation
+     * @method cancelledError
+     * @param  {Error}          [cause] Error the statement failed with
+     * @return {CancelledError}
+     */
+    cancelledError(cause) {
+        const { reason } = this.signal;
+
+        return new errors.CancelledError(reason && reason.message ? reason.message : 'Operation cancelled', {
+            reason,
+            cause
+        });
+    }
+
+    /**
+     * Tell cancellations and timeouts caused by the limits apart from other failures
+     * @method normalizeError
+     * @param  {DatastoreError} err Normalized error of the operation
+     * @return {DatastoreError}
+     */
+    normalizeError(err) {
+        // Cancelled and interrupted statements fail like timeouts
+        if (!(err instanceof errors.TimeoutError)) {
+            return err;
+        }
+        if (this.signal && this.signal.aborted) {
+            return Object.assign(this.cancelledError(err.cause || err), { table: err.table, operation: err.operation });
+        }
+        if (this.timedOut && !(err instanceof errors.StatementTimeoutError)) {
+            return new errors.StatementTimeoutError(`Statement exceeded the timeout of ${this.timeout}ms`, {
+                table: err.table,
+                operation: err.operation,
+                timeout: this.timeout,
+                cause: err.cause || err
+            });
+        }
+        if (err instanceof errors.StatementTimeoutError && this.timeout) {
+            err.timeout = this.timeout;
+        }
+
+        return err;
+    }
+
+    /**
+     * Stop listening to the signal once the operation settled
+     * @method dispose
+     */
+    dispose() {
+        if (this.signal) {
+            this.signal.removeEventListener('abort', this.onAbort);
+        }
+    }
+}
+
+module.exports = {
+    StatementLimits,
+    setSessionTimeout
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Wait for a number of milliseconds
+ * @method sleep
+ * @param  {Number}  ms Milliseconds to wait
+ * @return {Promise}
+ */
+function sleep(ms) {
+    return new Promise(resolve => {
+        setTimeout(resolve, ms);
+    });
+}
+
+/**
+ * Run promise-returning functions one after another
+ * @method series
+ * @param  {Array}    items List of items
+ * @param  {Function} fn    Function called with each item, returns a Promise
+ * @return {Promise}        Resolves to the list of results
+ */
+function series(items, fn) {
+    const results = [];
+
+    return items
+        .reduce(
+            (previous, item) => previous.then(() => fn(item).then(result => results.push(result))),
+            Promise.resolve()
+        )
+        .then(() => results);
+}
+
+/**
+ * Split a list into chunks
+ * @method chunk
+ * @param  {Array}   items List of items
+ * @param  {Number}  size  Maximum number of items per chunk
+ * @return {Array<Array>}  List of chunks
+ */
+function chunk(items, size) {
+    const chunks = [];
+
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+
+    return chunks;
+}
+
+module.exports = {
+    chunk,
+    series,
+    sleep
+};
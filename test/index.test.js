@@ -98,12 +98,12 @@ describe('index test', function () {
         },
         plugins: {
             datastore: {
-                get: joi.object(),
-                update: joi.object(),
-                remove: joi.object(),
-                save: joi.object(),
-                scan: joi.object(),
-                query: joi.object()
+                get: joi.object().unknown(),
+                update: joi.object({ table: joi.string().required(), params: joi.object().required() }),
+                remove: joi.object().unknown(),
+                save: joi.object().unknown(),
+                scan: joi.object().unknown(),
+                query: joi.object().unknown()
             }
         }
     };
@@ -117,12 +117,27 @@ describe('index test', function () {
     let sequelizeMock;
     let responseMock;
     let pgMock;
+    const transactionMock = { id: 'transactionMock' };
+
+    /**
+     * Find the last Sequelize hook registered with a name
+     * @method hook
+     * @param  {String}   name Hook name, eg: beforeConnect
+     * @return {Function}      Hook
+     */
+    const hook = name =>
+        sequelizeClientMock.addHook.args
+            .filter(([hookName]) => hookName === name)
+            .map(([, fn]) => fn)
+            .pop();
 
     // Time not important. Only life important.
     this.timeout(5000);
 
     before(() => {
         sequelizeTableMock = {
+            bulkCreate: sinon.stub(),
+            count: sinon.stub(),
             create: sinon.stub(),
             destroy: sinon.stub(),
             findAll: sinon.stub(),
@@ -130,6 +145,7 @@ describe('index test', function () {
             findByPk: sinon.stub(),
             findOne: sinon.stub(),
             update: sinon.stub(),
+            upsert: sinon.stub(),
             sequelize: { query: sinon.stub() }
         };
         sequelizeQueryGeneratorMock = {
@@ -139,10 +155,15 @@ describe('index test', function () {
             QueryGenerator: sequelizeQueryGeneratorMock
         };
         sequelizeClientMock = {
+            addHook: sinon.stub(),
             define: sinon.stub().returns(sequelizeTableMock),
             sync: sinon.stub().resolves(),
             getDialect: sinon.stub().returns('sqlite'),
             literal: sinon.stub(),
+            escape: value => `'${value}'`,
+            getQueryInterface: sinon.stub().returns({
+                queryGenerator: { quoteIdentifier: name => `\`${name}\`` }
+            }),
             dialect: sequelizeDialectMock,
             models: { testModels: 'testModelsMock' }
         };
@@ -158,6 +179,7 @@ describe('index test', function () {
         sequelizeMock.BOOLEAN = Sequelize.BOOLEAN;
         sequelizeMock.BLOB = Sequelize.BLOB;
         sequelizeMock.JSON = Sequelize.JSON;
+        sequelizeMock.JSONB = Sequelize.JSONB;
         sequelizeMock.ARRAY = Sequelize.ARRAY;
         sequelizeMock.GEOMETRY = Sequelize.GEOMETRY;
         sequelizeMock.Op = {
@@ -171,10 +193,18 @@ describe('index test', function () {
             lte: 'LTE',
             gt: 'GT',
             lt: 'LT',
-            eq: 'EQ'
+            eq: 'EQ',
+            ne: 'NE',
+            notIn: 'NOT IN',
+            is: 'IS',
+            not: 'NOT',
+            between: 'BETWEEN',
+            and: 'AND'
         };
         sequelizeMock.col = sinon.stub().returns('col');
         sequelizeMock.fn = sinon.stub().returnsArg(0);
+        sequelizeMock.where = sinon.stub().callsFake((attribute, condition) => ({ attribute, condition }));
+        sequelizeMock.Transaction = Sequelize.Transaction;
 
         responseMock = {
             toJSON: sinon.stub(),
@@ -207,9 +237,12 @@ describe('index test', function () {
         });
         Object.keys(sequelizeRowMock).forEach(key => sequelizeRowMock[key].reset());
         Object.keys(responseMock).forEach(key => responseMock[key].reset());
+        sequelizeClientMock.addHook = sinon.stub();
         sequelizeClientMock.define = sinon.stub().returns(sequelizeTableMock);
         sequelizeClientMock.sync = sinon.stub().resolves();
         sequelizeClientMock.getDialect = sinon.stub().returns('sqlite');
+        sequelizeClientMock.literal = sinon.stub();
+        sequelizeClientMock.transaction = sinon.stub().callsFake((options, callback) => callback(transactionMock));
         pgMock.defaults = {};
 
         datastore = new Datastore();
@@ -348,6 +381,58 @@ describe('index test', function () {
             assert.isTrue(pgMock.defaults.parseInt8);
         });
 
+        it('maps arrays and objects to JSONB columns on postgres with nativeJson', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+            datastore = new Datastore({
+                dialect: 'postgres',
+                nativeJson: true
+            });
+            assert.isTrue(datastore.nativeJson);
+            assert.calledWith(
+                sequelizeClientMock.define,
+                'pipelines',
+                sinon.match({
+                    parameters: {
+                        type: Sequelize.JSONB,
+                        defaultValue: {}
+                    }
+                })
+            );
+            assert.calledWith(
+                sequelizeClientMock.define,
+                'testModels',
+                sinon.match({
+                    arr: { type: Sequelize.JSONB },
+                    obj: { type: Sequelize.JSONB }
+                })
+            );
+        });
+
+        it('ignores nativeJson on dialects without JSON columns', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('mssql');
+            datastore = new Datastore({
+                dialect: 'mssql',
+                nativeJson: true
+            });
+            assert.isFalse(datastore.nativeJson);
+            assert.calledWith(
+                sequelizeClientMock.define,
+                'testModels',
+                sinon.match({
+                    arr: { type: Sequelize.TEXT },
+                    obj: { type: Sequelize.TEXT('medium') }
+                })
+            );
+        });
+
+        it('fails on an unknown JSON decode mode', () => {
+            assert.throws(() => new Datastore({ jsonDecodeMode: 'loose' }), /Invalid jsonDecodeMode "loose"/);
+        });
+
+        it('fails on an unknown write validation mode', () => {
+            assert.throws(() => new Datastore({ writeValidation: 'warn' }), /Invalid writeValidation "warn"/);
+        });
+
         it('constructs the clients with a prefix', () => {
             datastore = new Datastore({
                 dialect: 'sqlite',
@@ -399,473 +484,2686 @@ describe('index test', function () {
             assert.notExists(datastore.config.dialectOptions.ssl.ca);
         });
 
-        it('disables casting bigint to string for postgres', () => {
+        it('routes reads to the read replicas with their ssl options', () => {
             datastore = new Datastore({
-                dialect: 'postgres'
+                dialect: 'mysql',
+                host: 'primary',
+                dialectOptions: { ssl: { rejectUnauthorized: true } },
+                caCert: 'primary cert',
+                readReplicas: [
+                    { host: 'replica1' },
+                    {
+                        host: 'replica2',
+                        dialectOptions: { ssl: { rejectUnauthorized: true } },
+                        caCert: './test/data/ca.crt'
+                    },
+                    { host: 'replica3', dialectOptions: { ssl: { rejectUnauthorized: true } } }
+                ]
             });
 
-            assert.isTrue(pgMock.defaults.parseInt8);
-        });
-    });
-
-    describe('sync', () => {
-        it('syncs tables', () => {
-            const ddlSyncEnabled = 'true';
-
-            sequelizeClientMock.sync.resolves('moo');
+            const { replication } = sequelizeMock.lastCall.args[3];
 
-            return datastore.setup(ddlSyncEnabled).then(data => {
-                assert.deepEqual(data, 'moo');
+            assert.deepEqual(replication.write, {});
+            assert.deepEqual(replication.read[0], { host: 'replica1' });
+            assert.equal(replication.read[1].host, 'replica2');
+            assert.notProperty(replication.read[1], 'caCert');
+            assert.equal(replication.read[1].dialectOptions.ssl.ca, 'THIS IS CERT FILE TEST WITH FILEPATH\n');
+            assert.deepEqual(replication.read[2], {
+                host: 'replica3',
+                dialectOptions: { ssl: { rejectUnauthorized: true, ca: 'primary cert' } }
             });
+            assert.equal(datastore.config.dialectOptions.ssl.ca, 'primary cert');
         });
 
-        it('doesnt sync tables', () => {
-            const ddlSyncEnabled = 'false';
+        it('does not configure replication without read replicas', () => {
+            datastore = new Datastore({ dialect: 'mysql' });
 
-            sequelizeClientMock.sync.resolves(Promise.resolve());
+            assert.isUndefined(sequelizeMock.lastCall.args[3].replication);
+        });
 
-            return datastore
-                .setup(ddlSyncEnabled)
-                .then(() => {
-                    // do nothing
-                })
-                .catch(() => {
-                    assert.fail('this should not get here');
-                });
+        it('disables casting bigint to string for postgres', () => {
+            datastore = new Datastore({
+                dialect: 'postgres'
+            });
+
+            assert.isTrue(pgMock.defaults.parseInt8);
         });
     });
 
-    describe('get', () => {
-        it('gets data by id', () => {
-            const testParams = {
-                table: 'testModels',
-                params: {
-                    id: 'someId'
-                }
-            };
-            const testData = {
-                id: 'data',
-                key: 'value',
-                arr: '[1,2,3]',
-                obj: '{"a":"b"}',
-                bool: '0',
-                bar: null
-            };
-            const realData = {
-                id: 'data',
-                key: 'value',
-                arr: [1, 2, 3],
-                obj: {
-                    a: 'b'
-                },
-                bool: false
-            };
+    describe('healthCheck', () => {
+        const poolMock = { size: 3, using: 1, available: 2, waiting: 0, minSize: 0, maxSize: 5 };
 
-            sequelizeTableMock.findByPk.resolves(responseMock);
-            responseMock.toJSON.returns(testData);
+        beforeEach(() => {
+            sequelizeClientMock.connectionManager = { pool: poolMock };
+        });
 
-            return datastore.get(testParams).then(data => {
-                assert.deepEqual(data, realData);
-                assert.calledWith(sequelizeTableMock.findByPk, testParams.params.id);
+        it('reports the version and latency of a healthy database', () => {
+            sequelizeClientMock.databaseVersion = sinon.stub().resolves('8.0.36');
+
+            return datastore.healthCheck().then(report => {
+                assert.isTrue(report.healthy);
+                assert.equal(report.dialect, 'sqlite');
+                assert.equal(report.version, '8.0.36');
+                assert.isAtLeast(report.latency, 0);
+                assert.deepEqual(report.pool, { size: 3, active: 1, idle: 2, waiting: 0, min: 0, max: 5 });
             });
         });
 
-        it('gets data without id', () => {
-            const testParams = {
-                table: 'testModels',
-                params: {
-                    field1: 'value1',
-                    field2: 'value2'
-                }
-            };
-            const testData = {
-                id: 'data',
-                key: 'value',
-                arr: '[1,2,3]',
-                obj: '{"a":"b"}',
-                bool: '0',
-                bar: null
-            };
-            const realData = {
-                id: 'data',
-                key: 'value',
-                arr: [1, 2, 3],
-                obj: {
-                    a: 'b'
-                },
-                bool: false
-            };
+        it('reports the error when the database cannot be reached', () => {
+            const testError = new Error('connect ECONNREFUSED');
 
-            sequelizeTableMock.findOne.resolves(responseMock);
-            responseMock.toJSON.returns(testData);
+            testError.name = 'SequelizeConnectionRefusedError';
+            sequelizeClientMock.databaseVersion = sinon.stub().rejects(testError);
 
-            return datastore.get(testParams).then(data => {
-                assert.deepEqual(data, realData);
-                assert.calledWith(sequelizeTableMock.findOne, {
-                    where: testParams.params
-                });
+            return datastore.healthCheck().then(report => {
+                assert.isFalse(report.healthy);
+                assert.equal(report.error, 'ConnectionLostError: connect ECONNREFUSED');
+                assert.notProperty(report, 'version');
             });
         });
 
-        it('gracefully understands that no one is returned when it does not exist', () => {
-            sequelizeTableMock.findByPk.resolves(null);
+        it('reports a timeout when the database does not answer in time', () => {
+            sequelizeClientMock.databaseVersion = sinon.stub().returns(new Promise(() => {}));
 
-            return datastore
-                .get({
-                    table: 'testModels',
-                    params: {
-                        id: 'someId'
-                    }
-                })
-                .then(data => assert.isNull(data));
+            return datastore.healthCheck({ timeout: 10 }).then(report => {
+                assert.isFalse(report.healthy);
+                assert.equal(report.error, 'TimeoutError: Health check timed out after 10ms');
+            });
         });
 
-        it('fails when given an unknown table name', () =>
+        it('rejects invalid options', () =>
             datastore
-                .get({
-                    table: 'tableUnicorn',
-                    params: {
-                        id: 'doesNotMatter'
-                    }
-                })
+                .healthCheck({ timeout: -1 })
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.match(err.message, /Invalid table name/);
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
                 }));
+    });
 
-        it('fails when it encounters an error', () => {
-            const testError = new Error('errorCommunicatingToApi');
+    describe('poolStats', () => {
+        it('adds up the primary and replica pools', () => {
+            sequelizeClientMock.connectionManager = {
+                pool: {
+                    read: { size: 4, using: 3, available: 1, waiting: 2, minSize: 0, maxSize: 5 },
+                    write: { size: 1, using: 0, available: 1, waiting: 0, minSize: 0, maxSize: 5 }
+                }
+            };
 
-            sequelizeTableMock.findByPk.rejects(testError);
+            assert.deepEqual(datastore.poolStats(), {
+                size: 5,
+                active: 3,
+                idle: 2,
+                waiting: 2,
+                min: 0,
+                max: 10,
+                read: { size: 4, active: 3, idle: 1, waiting: 2, min: 0, max: 5 },
+                write: { size: 1, active: 0, idle: 1, waiting: 0, min: 0, max: 5 }
+            });
+        });
+    });
 
-            return datastore
-                ._get({
-                    table: 'testModels',
-                    params: {
-                        id: 'someId'
-                    }
+    describe('close', () => {
+        beforeEach(() => {
+            sequelizeClientMock.close = sinon.stub().resolves();
+        });
+
+        it('closes the pool once running operations have finished', () => {
+            let finishGet;
+
+            sequelizeTableMock.findByPk.returns(
+                new Promise(resolve => {
+                    finishGet = resolve;
                 })
+            );
+
+            const get = datastore.get({ table: 'testModels', params: { id: 1 } });
+            const close = datastore.close();
+
+            return Promise.resolve()
                 .then(() => {
-                    throw new Error('Oops');
+                    assert.notCalled(sequelizeClientMock.close);
+                    finishGet(null);
+
+                    return Promise.all([get, close]);
                 })
-                .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.equal(err.message, testError.message);
+                .then(([data]) => {
+                    assert.isNull(data);
+                    assert.calledOnce(sequelizeClientMock.close);
+                    assert.equal(datastore.close(), close);
                 });
         });
-    });
 
-    describe('save', () => {
-        it('saves the data', () => {
-            const expectedResult = {
-                id: 'someIdToPutHere',
-                key: 'value',
-                arr: [1, 2, 3],
-                obj: {
-                    a: 'b'
-                }
-            };
-            const expectedRow = sequelizeRowMock;
+        it('rejects new operations and transactions, but not those of open transactions', () => {
+            let closing;
 
-            expectedRow.get.returns(expectedResult);
-            sequelizeTableMock.create.resolves(expectedRow);
+            sequelizeTableMock.findByPk.resolves(null);
 
             return datastore
-                .save({
-                    table: 'testModels',
-                    params: {
-                        key: 'value',
-                        arr: [1, 2, 3],
-                        obj: {
-                            a: 'b'
-                        }
-                    }
+                .transaction(tx => {
+                    closing = datastore.close();
+
+                    return tx.get({ table: 'testModels', params: { id: 1 } });
                 })
                 .then(data => {
-                    assert.deepEqual(data, expectedResult);
-                    assert.calledWith(sequelizeTableMock.create, {
-                        key: 'value',
-                        arr: '[1,2,3]',
-                        obj: '{"a":"b"}'
-                    });
+                    assert.isNull(data);
+
+                    return Promise.all([
+                        datastore.get({ table: 'testModels', params: { id: 1 } }).catch(err => err),
+                        datastore.transaction(() => Promise.resolve()).catch(err => err),
+                        datastore.healthCheck(),
+                        closing
+                    ]);
+                })
+                .then(([getError, transactionError, report]) => {
+                    assert.instanceOf(getError, Datastore.errors.ShutdownError);
+                    assert.equal(getError.operation, 'get');
+                    assert.instanceOf(transactionError, Datastore.errors.ShutdownError);
+                    assert.isFalse(report.healthy);
+                    assert.equal(report.error, 'ShutdownError: Datastore is shutting down');
+                    assert.calledOnce(sequelizeTableMock.findByPk);
                 });
         });
 
-        it('fails when it encounters an error', () => {
-            const testError = new Error('testError');
+        it('lets running operations that open a transaction of their own finish', () => {
+            sequelizeTableMock.upsert.resolves([responseMock, null]);
+            sequelizeTableMock.count.resolves(0);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            sequelizeTableMock.bulkCreate.resolves([sequelizeRowMock]);
+            responseMock.toJSON.returns({ id: 1, num: 1, str: 'foo' });
 
-            sequelizeTableMock.create.rejects(testError);
+            const upsert = datastore.upsert({ table: 'testModels', params: { num: 1, str: 'foo' } });
+            const bulkSave = datastore.bulkSave({ table: 'testModels', params: [{ str: 'bar' }] });
 
-            return datastore
-                .save({
-                    table: 'testModels',
-                    params: {
-                        id: 'doesNotMatter',
-                        data: {}
-                    }
-                })
-                .then(
-                    () => {
-                        throw new Error('Oops');
-                    },
-                    err => {
-                        assert.isOk(err, 'Error should be returned');
-                        assert.equal(err.message, testError.message);
-                    }
-                );
+            return Promise.all([upsert, bulkSave, datastore.close()]).then(([result]) => {
+                assert.deepEqual(result, { record: { id: 1, num: 1, str: 'foo' }, created: true });
+                assert.calledTwice(sequelizeClientMock.transaction);
+                assert.calledOnce(sequelizeClientMock.close);
+            });
         });
 
-        it('fails when given an unknown table name', () =>
-            datastore
-                .save({
-                    table: 'doesNotExist',
-                    params: {
-                        id: 'doesNotMatter',
-                        data: {}
-                    }
-                })
+        it('rejects with TimeoutError when operations are still running at the deadline', () => {
+            sequelizeTableMock.findByPk.returns(new Promise(() => {}));
+            datastore.get({ table: 'testModels', params: { id: 1 } });
+
+            return datastore
+                .close({ timeout: 10 })
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.match(err.message, /Invalid table name/);
-                }));
+                    assert.instanceOf(err, Datastore.errors.TimeoutError);
+                    assert.equal(err.message, '1 operation(s) still running after 10ms');
+                    assert.equal(err.running, 1);
+                    assert.calledOnce(sequelizeClientMock.close);
+                });
+        });
     });
 
-    describe('remove', () => {
-        it('removes data by id', () => {
-            const testParams = {
-                table: 'testModels',
-                params: {
-                    id: 'someId'
-                }
-            };
+    describe('slowlog', () => {
+        beforeEach(() => {
+            datastore = new Datastore({ slowlogThreshold: 500, slowlog: { allowedColumns: ['status'] } });
+            sinon.stub(datastore.slowlog, 'record');
+            sinon.stub(datastore.slowlog, 'stop');
+        });
 
-            sequelizeTableMock.destroy.resolves(null);
+        it('records queries slower than the threshold', () => {
+            const { logging } = sequelizeMock.lastCall.args[3];
 
-            return datastore.remove(testParams).then(data => {
-                assert.isNull(data);
-                assert.calledWith(sequelizeTableMock.destroy, {
-                    where: {
-                        id: testParams.params.id
-                    }
-                });
+            logging("Executed (default): SELECT * FROM `builds` WHERE `status` = 'RUNNING'", 499);
+            logging("Executed (default): SELECT * FROM `builds` WHERE `status` = 'QUEUED'", 500);
+
+            assert.calledOnceWithExactly(
+                datastore.slowlog.record,
+                "Executed (default): SELECT * FROM `builds` WHERE `status` = 'QUEUED'",
+                500
+            );
+            assert.deepEqual(datastore.slowlog.allowedColumns, ['status']);
+            assert.isUndefined(sequelizeMock.lastCall.args[3].slowlog);
+        });
+
+        it('stops aggregating slow queries on close', () => {
+            sequelizeClientMock.close = sinon.stub().resolves();
+
+            return datastore.close().then(() => {
+                assert.calledOnce(datastore.slowlog.stop);
             });
         });
 
-        it('fails when given an unknown table name', () =>
-            datastore
-                .remove({
-                    table: 'tableUnicorn',
-                    params: {
-                        id: 'doesNotMatter'
+        it('throws on an invalid config', () => {
+            assert.throws(() => new Datastore({ slowlog: { interval: -1 } }), /Invalid slowlog/);
+        });
+    });
+
+    describe('sync', () => {
+        it('migrates tables', () => {
+            const ddlSyncEnabled = 'true';
+
+            sinon.stub(datastore.migrator, 'migrate').resolves({ version: 2 });
+
+            return datastore.setup(ddlSyncEnabled).then(data => {
+                assert.deepEqual(data, { version: 2 });
+                assert.calledOnce(datastore.migrator.migrate);
+                assert.notCalled(sequelizeClientMock.sync);
+            });
+        });
+
+        it('doesnt sync tables', () => {
+            const ddlSyncEnabled = 'false';
+
+            sinon.stub(datastore.migrator, 'migrate').resolves({ version: 2 });
+
+            return datastore
+                .setup(ddlSyncEnabled)
+                .then(() => {
+                    assert.notCalled(datastore.migrator.migrate);
+                })
+                .catch(() => {
+                    assert.fail('this should not get here');
+                });
+        });
+
+        it('plans migrations without running them', () => {
+            const plan = { version: 2, name: 'migration-2', tables: { jobs: { statements: [], destructive: [] } } };
+
+            sinon.stub(datastore.migrator, 'preview').resolves(plan);
+            sinon.stub(datastore.migrator, 'migrate').resolves();
+
+            return datastore.planMigration().then(data => {
+                assert.deepEqual(data, plan);
+                assert.notCalled(datastore.migrator.migrate);
+            });
+        });
+
+        it('rolls back the last migration', () => {
+            sinon.stub(datastore.migrator, 'rollback').resolves({ version: 2 });
+
+            return datastore.rollbackMigration().then(data => {
+                assert.deepEqual(data, { version: 2 });
+            });
+        });
+    });
+
+    describe('transaction', () => {
+        it('binds operations to a single transaction', () => {
+            const row = { get: sinon.stub().returns({ id: 1, str: 'foo' }) };
+
+            sequelizeTableMock.create.resolves(row);
+            sequelizeTableMock.update.resolves([1]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, str: 'bar' });
+            sequelizeTableMock.destroy.resolves(1);
+
+            return datastore
+                .transaction(tx =>
+                    tx
+                        .save({ table: 'testModels', params: { str: 'foo' } })
+                        .then(() => tx.update({ table: 'testModels', params: { id: 1, str: 'bar' } }))
+                        .then(() => tx.remove({ table: 'testModels', params: { id: 2 } }))
+                        .then(() => 'done')
+                )
+                .then(result => {
+                    assert.equal(result, 'done');
+                    assert.calledWith(sequelizeClientMock.transaction, { isolationLevel: undefined });
+                    assert.calledWith(sequelizeTableMock.create, { str: 'foo' }, { transaction: transactionMock });
+                    assert.calledWith(
+                        sequelizeTableMock.update,
+                        { id: 1, str: 'bar' },
+                        { where: { id: 1 }, returning: false, transaction: transactionMock }
+                    );
+                    assert.calledWith(sequelizeTableMock.findByPk, 1, { transaction: transactionMock });
+                    assert.calledWith(sequelizeTableMock.destroy, { where: { id: 2 }, transaction: transactionMock });
+                });
+        });
+
+        it('binds reads to the transaction', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+            sequelizeTableMock.findAll.resolves([]);
+            sequelizeTableMock.sequelize.query.resolves([]);
+
+            return datastore
+                .transaction(tx =>
+                    tx
+                        .get({ table: 'testModels', params: { id: 1 } })
+                        .then(() => tx.scan({ table: 'testModels' }))
+                        .then(() =>
+                            tx.query({
+                                table: 'testModels',
+                                queries: [{ dbType: 'sqlite', query: 'sqliteQuery' }],
+                                rawResponse: true
+                            })
+                        )
+                )
+                .then(() => {
+                    assert.calledWith(sequelizeTableMock.findByPk, 1, { transaction: transactionMock });
+                    assert.calledWith(sequelizeTableMock.findAll, {
+                        where: {},
+                        order: [['id', 'DESC']],
+                        transaction: transactionMock
+                    });
+                    assert.calledWith(sequelizeTableMock.sequelize.query, 'sqliteQuery', {
+                        replacements: undefined,
+                        transaction: transactionMock
+                    });
+                });
+        });
+
+        it('does not bind operations outside of the transaction', () => {
+            sequelizeTableMock.destroy.resolves(1);
+
+            return datastore
+                .transaction(() => Promise.resolve())
+                .then(() => datastore.remove({ table: 'testModels', params: { id: 2 } }))
+                .then(() => {
+                    assert.calledWith(sequelizeTableMock.destroy, { where: { id: 2 } });
+                });
+        });
+
+        it('rejects with the error that rolled back the transaction', () => {
+            const testError = new Error('cannot save');
+
+            sequelizeTableMock.create.rejects(testError);
+
+            return datastore
+                .transaction(tx => tx.save({ table: 'testModels', params: { str: 'foo' } }))
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DatastoreError);
+                    assert.equal(err.message, 'cannot save');
+                    assert.equal(err.cause, testError);
+                });
+        });
+
+        it('reuses the transaction when nested', () =>
+            datastore
+                .transaction(tx => tx.transaction(nested => nested.sequelizeTransaction))
+                .then(result => {
+                    assert.equal(result, transactionMock);
+                    assert.calledOnce(sequelizeClientMock.transaction);
+                }));
+
+        it('uses the requested or configured isolation level', () => {
+            datastore = new Datastore({ isolationLevel: 'READ UNCOMMITTED' });
+
+            return datastore
+                .transaction(() => Promise.resolve())
+                .then(() => datastore.transaction(() => Promise.resolve(), { isolationLevel: 'SERIALIZABLE' }))
+                .then(() => {
+                    assert.calledWith(sequelizeClientMock.transaction, { isolationLevel: 'READ UNCOMMITTED' });
+                    assert.calledWith(sequelizeClientMock.transaction, { isolationLevel: 'SERIALIZABLE' });
+                });
+        });
+
+        it('normalizes errors raised by Sequelize when committing', () => {
+            const testError = new Error('could not serialize access due to concurrent update');
+
+            testError.name = 'SequelizeDatabaseError';
+            testError.parent = { code: '40001' };
+            sequelizeClientMock.transaction = sinon.stub().rejects(testError);
+
+            return datastore
+                .transaction(() => Promise.resolve())
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DeadlockError);
+                    assert.equal(err.cause, testError);
+                });
+        });
+
+        it('passes on errors thrown by the callback as they are', () => {
+            const testError = new Error('not allowed');
+
+            return datastore
+                .transaction(() => Promise.reject(testError))
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err, testError);
+                });
+        });
+
+        it('fails when the dialect does not support the isolation level', () =>
+            datastore
+                .transaction(() => Promise.resolve(), { isolationLevel: 'REPEATABLE READ' })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Isolation level "REPEATABLE READ" is not supported by sqlite/);
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.notCalled(sequelizeClientMock.transaction);
+                }));
+
+        it('rejects READ UNCOMMITTED on postgres, which runs it as READ COMMITTED', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+
+            return datastore
+                .transaction(() => Promise.resolve(), { isolationLevel: 'READ UNCOMMITTED' })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Isolation level "READ UNCOMMITTED" is not supported by postgres/);
+                    assert.notCalled(sequelizeClientMock.transaction);
+                });
+        });
+    });
+
+    describe('read replicas', () => {
+        beforeEach(() => {
+            datastore = new Datastore({ dialect: 'mysql', readReplicas: [{ host: 'replica' }] });
+            sequelizeClientMock.getDialect = sinon.stub().returns('mysql');
+        });
+
+        it('reads from the replicas by default', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(() => {
+                assert.calledWith(sequelizeTableMock.findByPk, 1, {});
+            });
+        });
+
+        it('reads from the primary when asked to', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+            sequelizeTableMock.findAll.resolves([]);
+            sequelizeTableMock.sequelize.query.resolves([]);
+
+            return Promise.all([
+                datastore.get({ table: 'testModels', params: { id: 1 }, usePrimary: true }),
+                datastore.scan({ table: 'testModels', usePrimary: true }),
+                datastore.query({
+                    table: 'testModels',
+                    queries: [{ dbType: 'mysql', query: 'SELECT 1' }],
+                    rawResponse: true,
+                    usePrimary: true
+                })
+            ]).then(() => {
+                assert.calledWith(sequelizeTableMock.findByPk, 1, { useMaster: true });
+                assert.calledWithMatch(sequelizeTableMock.findAll, { useMaster: true });
+                assert.calledWithMatch(sequelizeTableMock.sequelize.query, 'SELECT 1', { useMaster: true });
+            });
+        });
+
+        it('runs raw queries on the primary, since they may write', () => {
+            const queries = [{ dbType: 'mysql', query: 'SELECT 1' }];
+
+            sequelizeTableMock.sequelize.query.resolves([]);
+
+            return datastore
+                .query({ table: 'testModels', queries, rawResponse: true })
+                .then(() => datastore.query({ table: 'testModels', queries }))
+                .then(() => {
+                    assert.calledWith(sequelizeTableMock.sequelize.query.firstCall, 'SELECT 1', {
+                        replacements: undefined,
+                        useMaster: true
+                    });
+                    assert.calledWith(sequelizeTableMock.sequelize.query.secondCall, 'SELECT 1', {
+                        replacements: undefined,
+                        model: 'testModelsMock',
+                        mapToModel: true
+                    });
+                });
+        });
+
+        it('reads the updated record from the primary', () => {
+            sequelizeTableMock.update.resolves([1]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, str: 'foo' });
+
+            return datastore.update({ table: 'testModels', params: { id: 1, str: 'foo' } }).then(() => {
+                assert.calledWith(sequelizeTableMock.findByPk, 1, { useMaster: true });
+            });
+        });
+
+        it('rejects an invalid usePrimary option', () =>
+            datastore
+                .get({ table: 'testModels', params: { id: 1 }, usePrimary: 'yes' })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.notCalled(sequelizeTableMock.findByPk);
+                }));
+    });
+
+    describe('credentials', () => {
+        const authError = () => {
+            const err = new Error('password authentication failed for user "screwdriver"');
+
+            err.name = 'SequelizeConnectionError';
+            err.parent = { code: '28P01' };
+
+            return err;
+        };
+        let credentials;
+
+        beforeEach(() => {
+            credentials = sinon.stub();
+            credentials.onFirstCall().resolves({ username: 'screwdriver', password: 'old' });
+            credentials.onSecondCall().resolves({ username: 'screwdriver', password: 'new' });
+            datastore = new Datastore({ dialect: 'postgres', credentials });
+        });
+
+        it('applies the credentials to new connections', () => {
+            const connectionConfig = { host: 'db', username: 'initial' };
+
+            assert.calledWith(sequelizeClientMock.addHook, 'beforeConnect');
+
+            return hook('beforeConnect')(connectionConfig).then(() => {
+                assert.deepEqual(connectionConfig, { host: 'db', username: 'screwdriver', password: 'old' });
+            });
+        });
+
+        it('refreshes the credentials and retries once when they are rejected', () => {
+            const beforeConnect = hook('beforeConnect');
+            const connectionConfig = {};
+
+            sequelizeTableMock.findByPk
+                .onFirstCall()
+                .callsFake(() => beforeConnect({}).then(() => Promise.reject(authError())));
+            sequelizeTableMock.findByPk
+                .onSecondCall()
+                .callsFake(() => beforeConnect(connectionConfig).then(() => null));
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(data => {
+                assert.isNull(data);
+                assert.calledTwice(credentials);
+                assert.equal(connectionConfig.password, 'new');
+            });
+        });
+
+        it('rejects with AuthenticationError when the fresh credentials are rejected too', () => {
+            sequelizeTableMock.findByPk.callsFake(() => Promise.reject(authError()));
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.AuthenticationError);
+                    assert.calledTwice(sequelizeTableMock.findByPk);
+                });
+        });
+
+        it('reloads the CA certificate file for new connections', () => {
+            datastore = new Datastore({
+                dialect: 'mysql',
+                dialectOptions: { ssl: { rejectUnauthorized: true } },
+                caCert: './test/data/ca.crt'
+            });
+
+            const beforeConnect = hook('beforeConnect');
+            const connectionConfig = { dialectOptions: { ssl: { ...datastore.config.dialectOptions.ssl, ca: 'old' } } };
+
+            return beforeConnect(connectionConfig).then(() => {
+                assert.equal(connectionConfig.dialectOptions.ssl.ca, 'THIS IS CERT FILE TEST WITH FILEPATH\n');
+            });
+        });
+
+        it('does not hook into connections without credentials or certificate files', () => {
+            sequelizeClientMock.addHook.resetHistory();
+            datastore = new Datastore({ dialect: 'mysql' });
+
+            assert.neverCalledWith(sequelizeClientMock.addHook, 'beforeConnect');
+        });
+
+        it('throws on invalid credentials', () => {
+            assert.throws(() => new Datastore({ credentials: 42 }), /Invalid credentials/);
+        });
+    });
+
+    describe('auth tokens', () => {
+        let authToken;
+
+        beforeEach(() => {
+            authToken = sinon.stub().resolves({ token: 'token-1', expiresAt: Date.now() + 900000 });
+        });
+
+        it('uses a cached token as the password of new connections, along with the CA certificate', () => {
+            datastore = new Datastore({
+                dialect: 'postgres',
+                username: 'screwdriver',
+                dialectOptions: { ssl: { rejectUnauthorized: true } },
+                caCert: './test/data/ca.crt',
+                authToken
+            });
+
+            const beforeConnect = hook('beforeConnect');
+            const connectionConfig = () => ({
+                host: 'db',
+                port: 5432,
+                username: 'screwdriver',
+                database: 'screwdriver',
+                dialectOptions: { ssl: { ...datastore.config.dialectOptions.ssl } }
+            });
+            const first = connectionConfig();
+            const second = connectionConfig();
+
+            return beforeConnect(first)
+                .then(() => beforeConnect(second))
+                .then(() => {
+                    assert.calledOnce(authToken);
+                    assert.calledWith(authToken, {
+                        host: 'db',
+                        port: 5432,
+                        username: 'screwdriver',
+                        database: 'screwdriver'
+                    });
+                    assert.equal(first.password, 'token-1');
+                    assert.equal(second.password, 'token-1');
+                    assert.equal(second.dialectOptions.ssl.ca, 'THIS IS CERT FILE TEST WITH FILEPATH\n');
+                    assert.isUndefined(datastore.config.authToken);
+                });
+        });
+
+        it('generates a new token when the database rejects it', () => {
+            const beforeConnect = () => hook('beforeConnect');
+            const connectionConfig = { host: 'db', username: 'screwdriver' };
+            const err = new Error('PAM authentication failed for user "screwdriver"');
+
+            err.name = 'SequelizeConnectionError';
+            err.parent = { code: '28000' };
+            authToken.onSecondCall().resolves({ token: 'token-2', expiresAt: Date.now() + 900000 });
+            datastore = new Datastore({ dialect: 'postgres', authToken });
+            sequelizeTableMock.findByPk
+                .onFirstCall()
+                .callsFake(() => beforeConnect()({}).then(() => Promise.reject(err)));
+            sequelizeTableMock.findByPk
+                .onSecondCall()
+                .callsFake(() => beforeConnect()(connectionConfig).then(() => null));
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(() => {
+                assert.calledTwice(authToken);
+                assert.equal(connectionConfig.password, 'token-2');
+            });
+        });
+
+        it('enables the cleartext plugin that MySQL receives tokens with', () => {
+            datastore = new Datastore({
+                dialect: 'mysql',
+                dialectOptions: { ssl: { rejectUnauthorized: true } },
+                readReplicas: [{ host: 'replica-1' }, { host: 'replica-2', dialectOptions: { ssl: {} } }],
+                authToken
+            });
+
+            const { dialectOptions, replication } = datastore.config;
+
+            assert.isTrue(dialectOptions.enableCleartextPlugin);
+            assert.isTrue(dialectOptions.ssl.rejectUnauthorized);
+            assert.isUndefined(replication.read[0].dialectOptions);
+            assert.isTrue(replication.read[1].dialectOptions.enableCleartextPlugin);
+        });
+
+        it('throws on an invalid token generator', () => {
+            assert.throws(() => new Datastore({ authToken: 'token' }), /Invalid authToken/);
+            assert.throws(
+                () => new Datastore({ credentials: '/etc/db.json', authToken }),
+                /Use either credentials or authToken/
+            );
+        });
+    });
+
+    describe('retry', () => {
+        const transientError = code => {
+            const err = new Error(`failed with ${code}`);
+
+            err.name = 'SequelizeDatabaseError';
+            err.parent = { code };
+
+            return err;
+        };
+
+        beforeEach(() => {
+            datastore = new Datastore({ retryPolicy: { maxAttempts: 3, baseDelay: 0 } });
+        });
+
+        it('retries reads when the connection is lost', () => {
+            sequelizeTableMock.findByPk.onFirstCall().rejects(transientError('ECONNRESET'));
+            sequelizeTableMock.findByPk.onSecondCall().resolves(null);
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(data => {
+                assert.isNull(data);
+                assert.calledTwice(sequelizeTableMock.findByPk);
+            });
+        });
+
+        it('rejects after the maximum number of attempts', () => {
+            sequelizeTableMock.findByPk.rejects(transientError('40P01'));
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DeadlockError);
+                    assert.calledThrice(sequelizeTableMock.findByPk);
+                });
+        });
+
+        it('retries saves on deadlocks, but not when the connection is lost during the insert', () => {
+            sequelizeTableMock.create.onFirstCall().rejects(transientError('ER_LOCK_DEADLOCK'));
+            sequelizeTableMock.create.onSecondCall().rejects(transientError('ECONNRESET'));
+
+            return datastore
+                .save({ table: 'testModels', params: { str: 'foo' } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ConnectionLostError);
+                    assert.calledTwice(sequelizeTableMock.create);
+                });
+        });
+
+        it('does not retry conditional updates when the connection is lost', () => {
+            sequelizeTableMock.update.rejects(transientError('ECONNRESET'));
+
+            return datastore
+                .update({ table: 'testModels', params: { id: 1, str: 'foo' }, expected: { str: 'bar' } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ConnectionLostError);
+                    assert.calledOnce(sequelizeTableMock.update);
+                });
+        });
+
+        it('does not retry operations inside a transaction', () => {
+            sequelizeTableMock.findByPk.rejects(transientError('40001'));
+
+            return datastore
+                .transaction(tx => tx.get({ table: 'testModels', params: { id: 1 } }))
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DeadlockError);
+                    assert.calledOnce(sequelizeTableMock.findByPk);
+                });
+        });
+
+        it('throws on an invalid retry policy', () => {
+            assert.throws(() => new Datastore({ retryPolicy: { maxAttempts: 'a lot' } }), /Invalid retry policy/);
+        });
+    });
+
+    describe('instrumentation', () => {
+        let hooks;
+
+        beforeEach(() => {
+            hooks = {
+                onStart: sinon.stub().returns('span'),
+                onEnd: sinon.stub()
+            };
+            datastore = new Datastore({ instrumentation: hooks, retryPolicy: { maxAttempts: 2, baseDelay: 0 } });
+        });
+
+        it('reports operations with their table, dialect, duration and row count', () => {
+            const rows = [{ toJSON: sinon.stub().returns({ id: 1 }) }, { toJSON: sinon.stub().returns({ id: 2 }) }];
+
+            sequelizeTableMock.findAll.resolves(rows);
+
+            const scan = datastore.scan({ table: 'testModels' });
+
+            assert.calledOnceWithExactly(hooks.onStart, {
+                table: 'testModels',
+                operation: 'scan',
+                dialect: 'sqlite',
+                inTransaction: false
+            });
+            assert.notCalled(hooks.onEnd);
+
+            return scan.then(() => {
+                const [event, started] = hooks.onEnd.firstCall.args;
+
+                assert.equal(started, 'span');
+                assert.equal(event.table, 'testModels');
+                assert.equal(event.operation, 'scan');
+                assert.equal(event.dialect, 'sqlite');
+                assert.equal(event.rowCount, 2);
+                assert.equal(event.attempts, 1);
+                assert.isNull(event.errorClass);
+                assert.isAtLeast(event.duration, 0);
+            });
+        });
+
+        it('reports failures with the error class once retries are exhausted', () => {
+            const err = new Error('deadlock detected');
+
+            err.name = 'SequelizeDatabaseError';
+            err.parent = { code: '40P01' };
+            sequelizeTableMock.findByPk.rejects(err);
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(error => {
+                    const [event] = hooks.onEnd.firstCall.args;
+
+                    assert.calledOnce(hooks.onStart);
+                    assert.calledOnce(hooks.onEnd);
+                    assert.equal(event.operation, 'get');
+                    assert.equal(event.attempts, 2);
+                    assert.equal(event.errorClass, 'DeadlockError');
+                    assert.equal(event.error, error);
+                    assert.isUndefined(event.rowCount);
+                });
+        });
+
+        it('calls every hook, and does not fail operations when a hook throws', () => {
+            const metrics = { onEnd: sinon.stub() };
+
+            datastore = new Datastore({
+                instrumentation: [{ onStart: sinon.stub().throws(new Error('tracer unavailable')) }, metrics]
+            });
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(data => {
+                assert.isNull(data);
+                assert.calledOnce(metrics.onEnd);
+                assert.equal(metrics.onEnd.firstCall.args[0].rowCount, 0);
+            });
+        });
+
+        it('throws on invalid hooks', () => {
+            assert.throws(() => new Datastore({ instrumentation: { onEnd: 'histogram' } }), /Invalid instrumentation/);
+            assert.throws(() => new Datastore({ instrumentation: [null] }), /Invalid instrumentation/);
+        });
+    });
+
+    describe('statement timeouts', () => {
+        let connection;
+
+        beforeEach(() => {
+            connection = { processID: 42, query: sinon.stub().yields(null) };
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+            sequelizeClientMock.query = sinon.stub().resolves();
+            datastore = new Datastore({ dialect: 'postgres', statementTimeout: 30000 });
+        });
+
+        it('sets the default statement timeout on new connections', () =>
+            hook('afterConnect')(connection).then(() => {
+                assert.calledWith(connection.query, 'SET statement_timeout = 30000');
+            }));
+
+        it('passes the limits of an operation to its queries', () => {
+            sequelizeTableMock.findByPk.callsFake((id, options) => {
+                const query = { connection };
+
+                return hook('beforeQuery')(options, query)
+                    .then(() => hook('afterQuery')(options, query))
+                    .then(() => null);
+            });
+
+            return datastore.get({ table: 'testModels', params: { id: 1 }, timeout: 500 }).then(() => {
+                const [, options] = sequelizeTableMock.findByPk.firstCall.args;
+
+                assert.equal(options.statementLimits.timeout, 500);
+                assert.calledWith(connection.query, 'SET statement_timeout = 500');
+                assert.calledWith(connection.query, 'SET statement_timeout = 30000');
+            });
+        });
+
+        it('does not add limits to operations without a timeout or a signal', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore.get({ table: 'testModels', params: { id: 1 } }).then(() => {
+                assert.calledWith(sequelizeTableMock.findByPk, 1, {});
+                assert.isUndefined(hook('beforeQuery')({}, { connection }));
+            });
+        });
+
+        it('cancels the running statement when the signal is aborted', () => {
+            const controller = new AbortController();
+            const cancelled = new Error('canceling statement due to user request');
+
+            cancelled.name = 'SequelizeDatabaseError';
+            cancelled.parent = { code: '57014', message: cancelled.message };
+            sequelizeTableMock.findAll.callsFake(options =>
+                hook('beforeQuery')(options, { connection }).then(() => {
+                    controller.abort(new Error('request closed'));
+
+                    throw cancelled;
+                })
+            );
+
+            return datastore
+                .scan({ table: 'testModels', signal: controller.signal })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.CancelledError);
+                    assert.equal(err.message, 'request closed');
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.operation, 'scan');
+                    assert.calledWith(sequelizeClientMock.query, 'SELECT pg_cancel_backend(42)');
+                });
+        });
+
+        it('rejects operations whose signal is already aborted', () => {
+            const controller = new AbortController();
+
+            controller.abort();
+
+            return datastore
+                .remove({ table: 'testModels', params: { id: 1 }, signal: controller.signal })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.CancelledError);
+                    assert.notCalled(sequelizeTableMock.destroy);
+                });
+        });
+
+        it('runs operations with a signal on the primary', () => {
+            datastore = new Datastore({ dialect: 'postgres', readReplicas: [{ host: 'replica' }] });
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 }, signal: new AbortController().signal })
+                .then(() => {
+                    assert.calledWithMatch(sequelizeTableMock.findByPk, 1, { useMaster: true });
+                });
+        });
+
+        it('rejects invalid timeouts', () =>
+            datastore
+                .get({ table: 'testModels', params: { id: 1 }, timeout: -1 })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.notCalled(sequelizeTableMock.findByPk);
+                }));
+
+        it('throws on an invalid or unsupported statementTimeout', () => {
+            assert.throws(() => new Datastore({ statementTimeout: '1s' }), /Invalid statementTimeout "1s"/);
+
+            sequelizeClientMock.getDialect = sinon.stub().returns('mssql');
+
+            assert.throws(
+                () => new Datastore({ dialect: 'mssql', statementTimeout: 1000 }),
+                /statementTimeout is not supported on mssql/
+            );
+        });
+    });
+
+    describe('cache', () => {
+        beforeEach(() => {
+            datastore = new Datastore({ cache: { ttl: 5000 } });
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, num: 2, str: 'foo' });
+        });
+
+        it('reads records by id and by unique keys from the cache', () =>
+            datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => datastore.get({ table: 'testModels', params: { num: 2, str: 'foo' } }))
+                .then(() => datastore.get({ table: 'testModels', params: { num: 2, str: 'foo' } }))
+                .then(() => datastore.get({ table: 'testModels', params: { id: 1 } }))
+                .then(record => {
+                    assert.deepEqual(record, { id: 1, num: 2, str: 'foo' });
+                    assert.calledOnce(sequelizeTableMock.findByPk);
+                    assert.calledOnce(sequelizeTableMock.findOne);
+                }));
+
+        it('invalidates records written by save, update and remove', () => {
+            sequelizeTableMock.create.resolves({ get: sinon.stub().returns({ id: 1, str: 'foo' }) });
+            sequelizeTableMock.update.resolves([1]);
+            sequelizeTableMock.destroy.resolves(1);
+
+            const get = () => datastore.get({ table: 'testModels', params: { id: 1 } });
+
+            return get()
+                .then(() => datastore.save({ table: 'testModels', params: { str: 'foo' } }))
+                .then(get)
+                .then(() => datastore.update({ table: 'testModels', params: { id: 1, str: 'bar' } }))
+                .then(get)
+                .then(() => datastore.remove({ table: 'testModels', params: { id: 1 } }))
+                .then(get)
+                .then(() => {
+                    // Each get after a write, and the select of update
+                    assert.callCount(sequelizeTableMock.findByPk, 5);
+                });
+        });
+
+        it('bypasses the cache in transactions and with usePrimary, and invalidates again on commit', () => {
+            const afterCommit = [];
+
+            transactionMock.afterCommit = fn => afterCommit.push(fn);
+            sequelizeTableMock.update.resolves([1]);
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() =>
+                    datastore.transaction(tx =>
+                        tx
+                            .get({ table: 'testModels', params: { id: 1 } })
+                            .then(() => tx.update({ table: 'testModels', params: { id: 1, str: 'bar' } }))
+                    )
+                )
+                .then(() => datastore.get({ table: 'testModels', params: { id: 1 }, usePrimary: true }))
+                .then(() => {
+                    assert.callCount(sequelizeTableMock.findByPk, 4);
+                    assert.lengthOf(afterCommit, 1);
+
+                    return datastore.get({ table: 'testModels', params: { id: 1 } });
+                })
+                .then(() => afterCommit[0]())
+                .then(() => datastore.get({ table: 'testModels', params: { id: 1 } }))
+                .then(() => {
+                    assert.callCount(sequelizeTableMock.findByPk, 6);
+                })
+                .finally(() => {
+                    delete transactionMock.afterCommit;
+                });
+        });
+
+        it('fills the cache from the primary when there are read replicas', () => {
+            datastore = new Datastore({ dialect: 'mysql', readReplicas: [{ host: 'replica' }], cache: {} });
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => datastore.get({ table: 'testModels', params: { num: 2, str: 'foo' } }))
+                .then(() => datastore.get({ table: 'testModels', params: { str: 'foo' } }))
+                .then(() => {
+                    assert.calledOnceWithExactly(sequelizeTableMock.findByPk, 1, { useMaster: true });
+                    assert.calledTwice(sequelizeTableMock.findOne);
+                    assert.calledWith(sequelizeTableMock.findOne.firstCall, {
+                        where: { num: 2, str: 'foo' },
+                        useMaster: true
+                    });
+                    // Not cached, so it may read from a replica
+                    assert.calledWith(sequelizeTableMock.findOne.secondCall, { where: { str: 'foo' } });
+                });
+        });
+
+        it('throws on an invalid config', () => {
+            assert.throws(() => new Datastore({ cache: { tables: { jobs: 'forever' } } }), /Invalid cache/);
+        });
+    });
+
+    describe('get', () => {
+        it('gets data by id', () => {
+            const testParams = {
+                table: 'testModels',
+                params: {
+                    id: 'someId'
+                }
+            };
+            const testData = {
+                id: 'data',
+                key: 'value',
+                arr: '[1,2,3]',
+                obj: '{"a":"b"}',
+                bool: '0',
+                bar: null
+            };
+            const realData = {
+                id: 'data',
+                key: 'value',
+                arr: [1, 2, 3],
+                obj: {
+                    a: 'b'
+                },
+                bool: false
+            };
+
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns(testData);
+
+            return datastore.get(testParams).then(data => {
+                assert.deepEqual(data, realData);
+                assert.calledWith(sequelizeTableMock.findByPk, testParams.params.id);
+            });
+        });
+
+        it('gets data without id', () => {
+            const testParams = {
+                table: 'testModels',
+                params: {
+                    field1: 'value1',
+                    field2: 'value2'
+                }
+            };
+            const testData = {
+                id: 'data',
+                key: 'value',
+                arr: '[1,2,3]',
+                obj: '{"a":"b"}',
+                bool: '0',
+                bar: null
+            };
+            const realData = {
+                id: 'data',
+                key: 'value',
+                arr: [1, 2, 3],
+                obj: {
+                    a: 'b'
+                },
+                bool: false
+            };
+
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns(testData);
+
+            return datastore.get(testParams).then(data => {
+                assert.deepEqual(data, realData);
+                assert.calledWith(sequelizeTableMock.findOne, {
+                    where: testParams.params
+                });
+            });
+        });
+
+        it('gracefully understands that no one is returned when it does not exist', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore
+                .get({
+                    table: 'testModels',
+                    params: {
+                        id: 'someId'
+                    }
+                })
+                .then(data => assert.isNull(data));
+        });
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .get({
+                    table: 'tableUnicorn',
+                    params: {
+                        id: 'doesNotMatter'
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.match(err.message, /Invalid table name/);
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.equal(err.table, 'tableUnicorn');
+                    assert.equal(err.operation, 'get');
+                }));
+
+        it('rejects with ConnectionLostError when the connection is lost', () => {
+            const testError = new Error('read ECONNRESET');
+
+            testError.name = 'SequelizeDatabaseError';
+            testError.parent = { code: 'ECONNRESET' };
+            sequelizeTableMock.findByPk.rejects(testError);
+
+            return datastore
+                .get({ table: 'testModels', params: { id: 1 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ConnectionLostError);
+                    assert.equal(err.message, 'read ECONNRESET');
+                    assert.equal(err.cause, testError);
+                });
+        });
+
+        it('fails when it encounters an error', () => {
+            const testError = new Error('errorCommunicatingToApi');
+
+            sequelizeTableMock.findByPk.rejects(testError);
+
+            return datastore
+                ._get({
+                    table: 'testModels',
+                    params: {
+                        id: 'someId'
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.equal(err.message, testError.message);
+                });
+        });
+    });
+
+    describe('save', () => {
+        it('saves the data', () => {
+            const expectedResult = {
+                id: 'someIdToPutHere',
+                key: 'value',
+                arr: [1, 2, 3],
+                obj: {
+                    a: 'b'
+                }
+            };
+            const expectedRow = sequelizeRowMock;
+
+            expectedRow.get.returns(expectedResult);
+            sequelizeTableMock.create.resolves(expectedRow);
+
+            return datastore
+                .save({
+                    table: 'testModels',
+                    params: {
+                        key: 'value',
+                        arr: [1, 2, 3],
+                        obj: {
+                            a: 'b'
+                        }
+                    }
+                })
+                .then(data => {
+                    assert.deepEqual(data, expectedResult);
+                    assert.calledWith(sequelizeTableMock.create, {
+                        key: 'value',
+                        arr: '[1,2,3]',
+                        obj: '{"a":"b"}'
+                    });
+                });
+        });
+
+        it('rejects unknown fields and invalid values with writeValidation reject', () => {
+            datastore = new Datastore({ writeValidation: 'reject' });
+
+            return datastore
+                .save({
+                    table: 'testModels',
+                    params: { str: 'foo', num: 'five', banana: 1, obj: Promise.resolve('b') }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.equal(err.table, 'testModels');
+                    assert.deepEqual(err.details, [
+                        { field: 'num', message: '"num" must be a number' },
+                        { field: 'banana', message: '"banana" is not allowed' },
+                        { field: 'obj', message: '"obj" must be of type object' }
+                    ]);
+                    assert.notCalled(sequelizeTableMock.create);
+                });
+        });
+
+        it('strips unknown fields with writeValidation strip', () => {
+            datastore = new Datastore({ writeValidation: 'strip' });
+            sequelizeRowMock.get.returns({ id: 1, str: 'foo' });
+            sequelizeTableMock.create.resolves(sequelizeRowMock);
+
+            return datastore
+                .save({
+                    table: 'testModels',
+                    params: { str: 'foo', num: null, banana: 1 }
+                })
+                .then(() => {
+                    assert.calledWith(sequelizeTableMock.create, { str: 'foo', num: null });
+                });
+        });
+
+        it('rejects null for required fields with writeValidation', () => {
+            datastore = new Datastore({ writeValidation: 'strip' });
+
+            return datastore
+                .save({
+                    table: 'pipelines',
+                    params: { name: 'foo', state: null }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.deepEqual(err.details, [{ field: 'state', message: '"state" is required' }]);
+                });
+        });
+
+        it('saves arrays and objects as is with nativeJson', () => {
+            datastore = new Datastore({ nativeJson: true });
+            sequelizeRowMock.get.returns({ id: 1, arr: [1, 2], obj: { a: 'b' } });
+            sequelizeTableMock.create.resolves(sequelizeRowMock);
+
+            return datastore
+                .save({
+                    table: 'testModels',
+                    params: { arr: [1, 2], obj: { a: 'b' } }
+                })
+                .then(data => {
+                    assert.deepEqual(data, { id: 1, arr: [1, 2], obj: { a: 'b' } });
+                    assert.calledWith(sequelizeTableMock.create, { arr: [1, 2], obj: { a: 'b' } });
+                });
+        });
+
+        it('fails when it encounters an error', () => {
+            const testError = new Error('testError');
+
+            sequelizeTableMock.create.rejects(testError);
+
+            return datastore
+                .save({
+                    table: 'testModels',
+                    params: {
+                        id: 'doesNotMatter',
+                        data: {}
+                    }
+                })
+                .then(
+                    () => {
+                        throw new Error('Oops');
+                    },
+                    err => {
+                        assert.isOk(err, 'Error should be returned');
+                        assert.equal(err.message, testError.message);
+                    }
+                );
+        });
+
+        it('rejects with UniqueViolationError listing the conflicting keys', () => {
+            const testError = new Error('Validation error');
+
+            testError.name = 'SequelizeUniqueConstraintError';
+            testError.fields = { str: 'foo' };
+            testError.parent = { code: 'ER_DUP_ENTRY' };
+            sequelizeTableMock.create.rejects(testError);
+
+            return datastore
+                .save({ table: 'testModels', params: { str: 'foo' } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.UniqueViolationError);
+                    assert.deepEqual(err.keys, ['str']);
+                    assert.deepEqual(err.values, { str: 'foo' });
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.operation, 'save');
+                });
+        });
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .save({
+                    table: 'doesNotExist',
+                    params: {
+                        id: 'doesNotMatter',
+                        data: {}
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.match(err.message, /Invalid table name/);
+                }));
+    });
+
+    describe('remove', () => {
+        it('removes data by id', () => {
+            const testParams = {
+                table: 'testModels',
+                params: {
+                    id: 'someId'
+                }
+            };
+
+            sequelizeTableMock.destroy.resolves(null);
+
+            return datastore.remove(testParams).then(data => {
+                assert.isNull(data);
+                assert.calledWith(sequelizeTableMock.destroy, {
+                    where: {
+                        id: testParams.params.id
+                    }
+                });
+            });
+        });
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .remove({
+                    table: 'tableUnicorn',
+                    params: {
+                        id: 'doesNotMatter'
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.match(err.message, /Invalid table name/);
+                }));
+
+        it('fails when it encounters an error', () => {
+            const testError = new Error('errorCommunicatingToApi');
+
+            sequelizeTableMock.destroy.rejects(testError);
+
+            return datastore
+                .remove({
+                    table: 'testModels',
+                    params: {
+                        id: 'someId'
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.match(err.message, testError.message);
+                });
+        });
+    });
+
+    describe('soft delete', () => {
+        beforeEach(() => {
+            datastore = new Datastore({ softDelete: { tables: ['testModels'], retention: 86400000 } });
+            sequelizeTableMock.restore = sinon.stub().resolves([1]);
+        });
+
+        afterEach(() => {
+            delete sequelizeTableMock.restore;
+        });
+
+        it('defines the tables with soft deletes as paranoid', () => {
+            assert.calledWith(
+                sequelizeClientMock.define,
+                'testModels',
+                sinon.match.object,
+                sinon.match({ paranoid: true, deletedAt: 'deletedAt', createdAt: false, updatedAt: false })
+            );
+            assert.calledWith(
+                sequelizeClientMock.define,
+                'jobs',
+                sinon.match.object,
+                sinon.match({ timestamps: false })
+            );
+        });
+
+        it('reads soft-deleted records when asked to', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+            sequelizeTableMock.findOne.resolves(null);
+            sequelizeTableMock.findAll.resolves([]);
+
+            return Promise.all([
+                datastore.get({ table: 'testModels', params: { id: 1 }, includeDeleted: true }),
+                datastore.get({ table: 'testModels', params: { str: 'foo' }, includeDeleted: true }),
+                datastore.scan({ table: 'testModels', includeDeleted: true })
+            ]).then(() => {
+                assert.calledWith(sequelizeTableMock.findByPk, 1, { paranoid: false });
+                assert.calledWith(sequelizeTableMock.findOne, { where: { str: 'foo' }, paranoid: false });
+                assert.calledWithMatch(sequelizeTableMock.findAll, { paranoid: false });
+            });
+        });
+
+        it('tells when a save conflicts with soft-deleted records', () => {
+            const conflict = new Error('Validation error');
+
+            conflict.name = 'SequelizeUniqueConstraintError';
+            sequelizeTableMock.create.rejects(conflict);
+            sequelizeTableMock.bulkCreate.rejects(conflict);
+            sequelizeTableMock.findAll.resolves([{ id: 1 }]);
+
+            return datastore
+                .save({ table: 'testModels', params: { num: 1, str: 'foo' } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.UniqueViolationError);
+                    assert.match(err.message, /Deleted records 1 of "testModels" .* restore\(\) or purge\(\)/);
+                    assert.deepEqual(err.deletedIds, [1]);
+                    assert.equal(err.cause, conflict);
+                    assert.calledWith(sequelizeTableMock.findAll, {
+                        attributes: ['id'],
+                        where: { OR: [{ num: 1, str: 'foo' }], deletedAt: { NE: null } },
+                        paranoid: false
+                    });
+                    // The deleted record is kept
+                    assert.notCalled(sequelizeTableMock.destroy);
+
+                    sequelizeTableMock.findAll.resolves([]);
+
+                    return datastore.bulkSave({ table: 'testModels', params: [{ num: 2, str: 'bar' }, { num: 3 }] });
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    // No deleted record conflicts, so the error is the one of the database
+                    assert.instanceOf(err, Datastore.errors.UniqueViolationError);
+                    assert.isUndefined(err.deletedIds);
+                    assert.calledWith(
+                        sequelizeTableMock.findAll.secondCall,
+                        sinon.match({
+                            where: { OR: [{ num: 2, str: 'bar' }], deletedAt: { NE: null } }
+                        })
+                    );
+                });
+        });
+
+        it('restores a soft-deleted record', () => {
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, str: 'foo', deletedAt: null });
+
+            return datastore.restore({ table: 'testModels', params: { id: 1 } }).then(record => {
+                assert.deepEqual(record, { id: 1, str: 'foo' });
+                assert.calledWith(sequelizeTableMock.restore, { where: { id: 1 } });
+            });
+        });
+
+        it('fails to restore a record that does not exist', () => {
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore
+                .restore({ table: 'testModels', params: { id: 1 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.NotFoundError);
+                    assert.equal(err.operation, 'restore');
+                });
+        });
+
+        it('permanently removes the records deleted before the retention window', () => {
+            // rewire keeps the Date the module was loaded with, so fake timers would not reach it
+            const now = sinon.stub(Date, 'now').returns(Date.parse('2026-10-18T00:00:00Z'));
+
+            sequelizeTableMock.destroy.resolves(3);
+
+            return Promise.all([
+                datastore.purge({ table: 'testModels' }),
+                datastore.purge({ table: 'testModels', retention: 0 })
+            ])
+                .then(([purged]) => {
+                    assert.equal(purged, 3);
+                    assert.calledWith(sequelizeTableMock.destroy, {
+                        where: { deletedAt: { LT: new Date('2026-10-17T00:00:00Z') } },
+                        force: true
+                    });
+                    assert.calledWith(sequelizeTableMock.destroy, {
+                        where: { deletedAt: { LT: new Date('2026-10-18T00:00:00Z') } },
+                        force: true
+                    });
+                })
+                .finally(() => now.restore());
+        });
+
+        it('rejects restore and purge on tables without soft deletes', () =>
+            Promise.all([
+                datastore.restore({ table: 'jobs', params: { id: 1 } }).catch(err => err),
+                datastore.purge({ table: 'jobs' }).catch(err => err)
+            ]).then(([restoreError, purgeError]) => {
+                assert.instanceOf(restoreError, Datastore.errors.ValidationError);
+                assert.equal(purgeError.message, 'Table "jobs" does not use soft deletes');
+                assert.notCalled(sequelizeTableMock.restore);
+                assert.notCalled(sequelizeTableMock.destroy);
+            }));
+
+        it('throws on an invalid config', () => {
+            assert.throws(() => new Datastore({ softDelete: { tables: ['unicorns'] } }), /Invalid softDelete/);
+        });
+    });
+
+    describe('update', () => {
+        it('updates the data in the datastore and returns the persisted record', () => {
+            const id = 'someId';
+
+            sequelizeTableMock.update.resolves([1]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({
+                id,
+                targetKey: 'updatedValue',
+                obj: '{"a":"b"}',
+                bool: '1',
+                str: null
+            });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: {
+                        id,
+                        targetKey: 'updatedValue'
+                    }
+                })
+                .then(data => {
+                    assert.deepEqual(data, {
+                        id,
+                        targetKey: 'updatedValue',
+                        obj: { a: 'b' },
+                        bool: true
+                    });
+                    assert.calledWith(
+                        sequelizeTableMock.update,
+                        {
+                            id,
+                            targetKey: 'updatedValue'
+                        },
+                        { where: { id }, returning: false }
+                    );
+                    assert.calledWith(sequelizeTableMock.findByPk, id);
+                });
+        });
+
+        it('returns the persisted record from the update on postgres', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+            sequelizeTableMock.update.resolves([1, [responseMock]]);
+            responseMock.toJSON.returns({ id: 1, str: 'bar', num: 5 });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' }
+                })
+                .then(data => {
+                    assert.deepEqual(data, { id: 1, str: 'bar', num: 5 });
+                    assert.calledWith(
+                        sequelizeTableMock.update,
+                        { id: 1, str: 'bar' },
+                        { where: { id: 1 }, returning: true }
+                    );
+                    assert.notCalled(sequelizeTableMock.findByPk);
+                });
+        });
+
+        it('returns the record when nothing changed because the values were identical', () => {
+            sequelizeTableMock.update.resolves([0]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, str: 'bar' });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' }
+                })
+                .then(data => {
+                    assert.deepEqual(data, { id: 1, str: 'bar' });
+                    assert.notCalled(sequelizeTableMock.count);
+                });
+        });
+
+        it('fails with not found when the record does not exist', () => {
+            sequelizeTableMock.update.resolves([0]);
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.NotFoundError);
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.id, 1);
+                });
+        });
+
+        it('updates only when the record still has the expected values', () => {
+            sequelizeTableMock.update.resolves([1]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, str: 'bar', obj: '{"a":"c"}' });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar', obj: { a: 'c' } },
+                    expected: { str: 'foo', obj: { a: 'b' } }
+                })
+                .then(data => {
+                    assert.deepEqual(data, { id: 1, str: 'bar', obj: { a: 'c' } });
+                    assert.calledWith(
+                        sequelizeTableMock.update,
+                        { id: 1, str: 'bar', obj: '{"a":"c"}' },
+                        { where: { str: 'foo', obj: '{"a":"b"}', id: 1 }, returning: false }
+                    );
+                    assert.notCalled(sequelizeTableMock.count);
+                });
+        });
+
+        it('succeeds when the expected values matched but nothing changed', () => {
+            sequelizeTableMock.update.resolves([0]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            sequelizeTableMock.count.resolves(1);
+            responseMock.toJSON.returns({ id: 1, str: 'foo' });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'foo' },
+                    expected: { str: 'foo' }
+                })
+                .then(data => {
+                    assert.deepEqual(data, { id: 1, str: 'foo' });
+                    assert.calledWith(sequelizeTableMock.count, { where: { str: 'foo', id: 1 } });
+                });
+        });
+
+        it('fails with a conflict when another writer changed the record', () => {
+            sequelizeTableMock.update.resolves([0]);
+            sequelizeTableMock.findByPk.resolves(responseMock);
+            sequelizeTableMock.count.resolves(0);
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' },
+                    expected: { str: 'foo' }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ConflictError);
+                    assert.equal(err.name, 'ConflictError');
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.id, 1);
+                    assert.deepEqual(err.expected, { str: 'foo' });
+                    assert.calledWith(sequelizeTableMock.findByPk, 1);
+                });
+        });
+
+        it('fails with not found when the expected record no longer exists', () => {
+            sequelizeTableMock.update.resolves([0]);
+            sequelizeTableMock.findByPk.resolves(null);
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' },
+                    expected: { str: 'foo' }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.NotFoundError);
+                    assert.match(err.message, /Record 1 not found in "testModels"/);
+                });
+        });
+
+        it('validates the changes with writeValidation', () => {
+            datastore = new Datastore({ writeValidation: 'reject' });
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 5 }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.match(err.message, /Invalid record for "testModels": .*"str" must be a string/);
+                    assert.notCalled(sequelizeTableMock.update);
+                });
+        });
+
+        it('fails when an expected field is not valid', () =>
+            datastore
+                .update({
+                    table: 'testModels',
+                    params: { id: 1, str: 'bar' },
+                    expected: { banana: 1 }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Invalid expected field "banana"/);
+                    assert.notCalled(sequelizeTableMock.update);
+                }));
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .update({
+                    table: 'doesNotExist',
+                    params: {
+                        id: 'doesNotMatter',
+                        data: {}
                     }
                 })
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
+                    assert.isOk(err, 'Error should be returned');
+                    assert.match(err.message, /Invalid table name/);
+                }));
+
+        it('fails when it encounters an error', () => {
+            const testError = new Error('testError');
+
+            sequelizeTableMock.update.rejects(testError);
+
+            return datastore
+                .update({
+                    table: 'testModels',
+                    params: {
+                        id: 'doesNotMatter',
+                        data: {}
+                    }
+                })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.isOk(err, 'Error should be returned');
+                    assert.equal(err.message, testError.message);
+                });
+        });
+    });
+
+    describe('upsert', () => {
+        it('inserts the record and reports it was created', () => {
+            sequelizeTableMock.count.resolves(0);
+            sequelizeTableMock.upsert.resolves([sequelizeRowMock, null]);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, num: 5, str: 'foo', obj: '{"a":"b"}' });
+
+            return datastore
+                .upsert({
+                    table: 'testModels',
+                    params: { num: 5, str: 'foo', obj: { a: 'b' } }
+                })
+                .then(data => {
+                    assert.deepEqual(data, {
+                        record: { id: 1, num: 5, str: 'foo', obj: { a: 'b' } },
+                        created: true
+                    });
+                    assert.calledWith(sequelizeTableMock.count, {
+                        where: { num: 5, str: 'foo' },
+                        transaction: transactionMock
+                    });
+                    assert.calledWith(
+                        sequelizeTableMock.upsert,
+                        { num: 5, str: 'foo', obj: '{"a":"b"}' },
+                        { conflictFields: ['num', 'str'], transaction: transactionMock }
+                    );
+                    assert.calledWith(sequelizeTableMock.findOne, {
+                        where: { num: 5, str: 'foo' },
+                        transaction: transactionMock
+                    });
+                });
+        });
+
+        it('updates the existing record and reports it was not created', () => {
+            sequelizeTableMock.count.resolves(1);
+            sequelizeTableMock.upsert.resolves([sequelizeRowMock, null]);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, num: 5, str: 'foo' });
+
+            return datastore.upsert({ table: 'testModels', params: { num: 5, str: 'foo' } }).then(data => {
+                assert.isFalse(data.created);
+            });
+        });
+
+        it('counts the key in a transaction that takes the write lock as it begins on sqlite', () => {
+            sequelizeTableMock.count.resolves(0);
+            sequelizeTableMock.upsert.resolves([sequelizeRowMock, null]);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, num: 5, str: 'foo' });
+
+            return datastore.upsert({ table: 'testModels', params: { num: 5, str: 'foo' } }).then(() => {
+                assert.calledWith(sequelizeClientMock.transaction, { isolationLevel: undefined, type: 'IMMEDIATE' });
+                assert.callOrder(sequelizeTableMock.count, sequelizeTableMock.upsert);
+            });
+        });
+
+        it('tells concurrent upserts of the same key apart by the xmax of the row on postgres', () => {
+            const xmaxQuery = sinon.match({ raw: true });
+
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+            sequelizeClientMock.literal.returnsArg(0);
+            sequelizeTableMock.upsert.resolves([sequelizeRowMock, null]);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            sequelizeTableMock.findOne.withArgs(xmaxQuery).onFirstCall().resolves({ inserted: true });
+            sequelizeTableMock.findOne.withArgs(xmaxQuery).onSecondCall().resolves({ inserted: false });
+            responseMock.toJSON.returns({ id: 1, num: 5, str: 'foo' });
+
+            return Promise.all([
+                datastore.upsert({ table: 'testModels', params: { num: 5, str: 'foo' } }),
+                datastore.upsert({ table: 'testModels', params: { num: 5, str: 'foo' } })
+            ]).then(results => {
+                assert.deepEqual(
+                    results.map(result => result.created),
+                    [true, false]
+                );
+                assert.notCalled(sequelizeTableMock.count);
+                assert.calledWith(sequelizeTableMock.findOne, {
+                    attributes: [['(xmax = 0)', 'inserted']],
+                    where: { num: 5, str: 'foo' },
+                    raw: true,
+                    transaction: transactionMock
+                });
+                assert.calledWith(sequelizeClientMock.transaction, { isolationLevel: undefined });
+            });
+        });
+
+        it('uses the created flag reported by mysql', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('mysql');
+            sequelizeTableMock.upsert.resolves([sequelizeRowMock, false]);
+            sequelizeTableMock.findOne.resolves(responseMock);
+            responseMock.toJSON.returns({ id: 1, num: 5, str: 'foo' });
+
+            return datastore.upsert({ table: 'testModels', params: { num: 5, str: 'foo' } }).then(data => {
+                assert.deepEqual(data, { record: { id: 1, num: 5, str: 'foo' }, created: false });
+                assert.notCalled(sequelizeTableMock.count);
+            });
+        });
+
+        it('rejects with the upsert operation when the database fails inside its transaction', () => {
+            const testError = new Error('Deadlock found when trying to get lock');
+
+            testError.name = 'SequelizeDatabaseError';
+            testError.parent = { code: 'ER_LOCK_DEADLOCK' };
+            sequelizeTableMock.count.resolves(0);
+            sequelizeTableMock.upsert.rejects(testError);
+
+            return datastore
+                .upsert({ table: 'testModels', params: { num: 5, str: 'foo' } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DeadlockError);
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.operation, 'upsert');
+                });
+        });
+
+        it('fails when a key field is missing', () =>
+            datastore
+                .upsert({ table: 'testModels', params: { num: 5 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Missing key field "str" for upsert into "testModels"/);
+                    assert.notCalled(sequelizeTableMock.upsert);
+                }));
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .upsert({ table: 'doesNotExist', params: { num: 5 } })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Invalid table name/);
+                }));
+    });
+
+    describe('bulkSave', () => {
+        it('saves the records in chunks', () => {
+            const rows = [1, 2, 3].map(id => ({ get: sinon.stub().returns({ id, obj: '{"a":"b"}' }) }));
+
+            sequelizeTableMock.bulkCreate.onFirstCall().resolves(rows.slice(0, 2));
+            sequelizeTableMock.bulkCreate.onSecondCall().resolves(rows.slice(2));
+
+            return datastore
+                .bulkSave({
+                    table: 'testModels',
+                    params: [{ obj: { a: 'b' } }, { obj: { a: 'b' } }, { str: 'foo' }],
+                    chunkSize: 2
+                })
+                .then(data => {
+                    assert.deepEqual(
+                        data.map(row => row.id),
+                        [1, 2, 3]
+                    );
+                    assert.calledTwice(sequelizeTableMock.bulkCreate);
+                    // All chunks or none are saved
+                    assert.calledOnce(sequelizeClientMock.transaction);
+                    assert.calledWith(
+                        sequelizeTableMock.bulkCreate.firstCall,
+                        [{ obj: '{"a":"b"}' }, { obj: '{"a":"b"}' }],
+                        {
+                            returning: true,
+                            transaction: transactionMock
+                        }
+                    );
+                    assert.calledWith(sequelizeTableMock.bulkCreate.secondCall, [{ str: 'foo' }], {
+                        returning: true,
+                        transaction: transactionMock
+                    });
+                });
+        });
+
+        it('validates every record before writing any with writeValidation', () => {
+            datastore = new Datastore({ writeValidation: 'reject' });
+
+            return datastore
+                .bulkSave({ table: 'testModels', params: [{ str: 'a' }, { str: 1 }], chunkSize: 1 })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.deepEqual(err.details, [{ index: 1, field: 'str', message: '"str" must be a string' }]);
+                    assert.notCalled(sequelizeTableMock.bulkCreate);
+                });
+        });
+
+        it('rolls back the saved chunks when a chunk fails', () => {
+            const testError = new Error('testError');
+
+            sequelizeTableMock.bulkCreate.onFirstCall().resolves([sequelizeRowMock]);
+            sequelizeTableMock.bulkCreate.onSecondCall().rejects(testError);
+            sequelizeClientMock.transaction = sinon
+                .stub()
+                .callsFake((options, callback) => callback(transactionMock).catch(() => Promise.reject(testError)));
+
+            return datastore
+                .bulkSave({ table: 'testModels', params: [{ str: 'a' }, { str: 'b' }], chunkSize: 1 })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, testError.message);
+                    assert.calledOnce(sequelizeClientMock.transaction);
+                    assert.calledWith(sequelizeTableMock.bulkCreate.firstCall, [{ str: 'a' }], {
+                        returning: true,
+                        transaction: transactionMock
+                    });
+                });
+        });
+
+        it('uses the configured chunk size', () => {
+            datastore = new Datastore({ bulkChunkSize: 1 });
+            sequelizeTableMock.bulkCreate.resolves([sequelizeRowMock]);
+
+            return datastore.bulkSave({ table: 'testModels', params: [{ str: 'a' }, { str: 'b' }] }).then(() => {
+                assert.calledTwice(sequelizeTableMock.bulkCreate);
+            });
+        });
+
+        it('runs in the current transaction', () =>
+            datastore
+                .transaction(tx => {
+                    sequelizeTableMock.bulkCreate.resolves([sequelizeRowMock]);
+
+                    return tx.bulkSave({ table: 'testModels', params: [{ str: 'a' }] });
+                })
+                .then(() => {
+                    assert.calledWith(sequelizeTableMock.bulkCreate, [{ str: 'a' }], {
+                        returning: true,
+                        transaction: transactionMock
+                    });
+                }));
+
+        it('fails when no records are given', () =>
+            datastore
+                .bulkSave({ table: 'testModels', params: [] })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /"params" must contain at least 1 items/);
+                    assert.notCalled(sequelizeTableMock.bulkCreate);
+                }));
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .bulkSave({ table: 'doesNotExist', params: [{ str: 'a' }] })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
                     assert.match(err.message, /Invalid table name/);
                 }));
+    });
 
-        it('fails when it encounters an error', () => {
-            const testError = new Error('errorCommunicatingToApi');
+    describe('bulkUpdate', () => {
+        it('updates the records in chunks and returns them in the order given', () => {
+            const rowMock = id => ({ toJSON: sinon.stub().returns({ id, obj: '{"a":"c"}' }) });
 
-            sequelizeTableMock.destroy.rejects(testError);
+            sequelizeTableMock.update.resolves([2]);
+            sequelizeTableMock.findAll.onFirstCall().resolves([rowMock(2), rowMock(1)]);
+            sequelizeTableMock.findAll.onSecondCall().resolves([]);
 
             return datastore
-                .remove({
+                .bulkUpdate({
                     table: 'testModels',
-                    params: {
-                        id: 'someId'
-                    }
+                    ids: [1, 2, 3],
+                    params: { obj: { a: 'c' } },
+                    chunkSize: 2
+                })
+                .then(data => {
+                    assert.deepEqual(data, [{ id: 1, obj: { a: 'c' } }, { id: 2, obj: { a: 'c' } }, null]);
+                    assert.calledTwice(sequelizeTableMock.update);
+                    assert.calledOnce(sequelizeClientMock.transaction);
+                    assert.calledWith(
+                        sequelizeTableMock.update.firstCall,
+                        { obj: '{"a":"c"}' },
+                        { where: { id: { IN: [1, 2] } }, transaction: transactionMock }
+                    );
+                    assert.calledWith(
+                        sequelizeTableMock.update.secondCall,
+                        { obj: '{"a":"c"}' },
+                        { where: { id: { IN: [3] } }, transaction: transactionMock }
+                    );
+                    assert.calledWith(sequelizeTableMock.findAll.secondCall, {
+                        where: { id: { IN: [3] } },
+                        transaction: transactionMock
+                    });
+                });
+        });
+
+        it('fails when the changes include an id', () =>
+            datastore
+                .bulkUpdate({ table: 'testModels', ids: [1], params: { id: 2 } })
+                .then(() => {
+                    throw new Error('Oops');
                 })
+                .catch(err => {
+                    assert.match(err.message, /"params.id" is not allowed/);
+                    assert.notCalled(sequelizeTableMock.update);
+                }));
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .bulkUpdate({ table: 'doesNotExist', ids: [1], params: { str: 'a' } })
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.match(err.message, testError.message);
+                    assert.match(err.message, /Invalid table name/);
+                }));
+    });
+
+    describe('bulkRemove', () => {
+        it('removes the records in chunks and reports which existed', () => {
+            sequelizeTableMock.findAll.onFirstCall().resolves([{ id: 2 }]);
+            sequelizeTableMock.findAll.onSecondCall().resolves([{ id: 3 }]);
+            sequelizeTableMock.destroy.resolves(1);
+
+            return datastore.bulkRemove({ table: 'testModels', ids: [1, 2, 3], chunkSize: 2 }).then(data => {
+                assert.deepEqual(data, [false, true, true]);
+                // The ids are read and deleted in the same transaction
+                assert.calledOnce(sequelizeClientMock.transaction);
+                assert.calledWith(sequelizeTableMock.findAll.firstCall, {
+                    attributes: ['id'],
+                    where: { id: { IN: [1, 2] } },
+                    transaction: transactionMock
+                });
+                assert.calledWith(sequelizeTableMock.destroy.firstCall, {
+                    where: { id: { IN: [1, 2] } },
+                    transaction: transactionMock
+                });
+                assert.calledWith(sequelizeTableMock.destroy.secondCall, {
+                    where: { id: { IN: [3] } },
+                    transaction: transactionMock
+                });
+            });
+        });
+
+        it('fails when the ids are not valid', () =>
+            datastore
+                .bulkRemove({ table: 'testModels', ids: ['abc'] })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /"ids\[0\]" must be a number/);
+                    assert.notCalled(sequelizeTableMock.destroy);
+                }));
+
+        it('fails when it encounters an error', () => {
+            const testError = new Error('testError');
+
+            sequelizeTableMock.findAll.resolves([{ id: 1 }]);
+            sequelizeTableMock.destroy.rejects(testError);
+
+            return datastore
+                .bulkRemove({ table: 'testModels', ids: [1] })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, testError.message);
                 });
         });
     });
 
-    describe('update', () => {
-        it('updates the data in the datastore', () => {
-            const id = 'someId';
-            const expectedResult = {
-                id,
-                targetKey: 'updatedValue'
+    describe('scan', () => {
+        let testParams;
+
+        beforeEach(() => {
+            testParams = {
+                table: 'testModels'
+            };
+        });
+
+        it('scans all the data', () => {
+            const testData = [
+                {
+                    id: 'data1',
+                    key: 'value1'
+                },
+                {
+                    id: 'data2',
+                    key: 'value2'
+                }
+            ];
+            const testInternal = [
+                {
+                    toJSON: sinon.stub().returns(testData[0])
+                },
+                {
+                    toJSON: sinon.stub().returns(testData[1])
+                }
+            ];
+
+            sequelizeTableMock.findAll.resolves(testInternal);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, testData);
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: {},
+                    order: [['id', 'DESC']]
+                });
+            });
+        });
+
+        it('scans all the data in reverse', () => {
+            const testData = [
+                {
+                    id: 'data1',
+                    key: 'value1'
+                },
+                {
+                    id: 'data2',
+                    key: 'value2'
+                }
+            ];
+            const testInternal = [
+                {
+                    toJSON: sinon.stub().returns(testData[0])
+                },
+                {
+                    toJSON: sinon.stub().returns(testData[1])
+                }
+            ];
+
+            testParams.sort = 'ascending';
+
+            sequelizeTableMock.findAll.resolves(testInternal);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, testData);
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: {},
+                    order: [['id', 'ASC']]
+                });
+            });
+        });
+
+        it('scans a page of data', () => {
+            const dummyData = [];
+
+            for (let i = 1; i <= 30; i += 1) {
+                dummyData.push({
+                    id: `data${i}`,
+                    key: `value${i}`
+                });
+            }
+
+            const testData = dummyData.slice(11, 21);
+            const testInternal = testData.map(data => ({
+                toJSON: sinon.stub().returns(data)
+            }));
+
+            testParams.paginate = {
+                count: 10,
+                page: 2
+            };
+
+            sequelizeTableMock.findAll.resolves(testInternal);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, testData);
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: {},
+                    order: [['id', 'DESC']],
+                    limit: 10,
+                    offset: 10
+                });
+            });
+        });
+
+        it('scans for data matching a filter', () => {
+            testParams.params = { str: 'foo' };
+            testParams.filter = {
+                or: [
+                    {
+                        and: [
+                            { field: 'str', op: 'notIn', value: ['SUCCESS', 'FAILURE'] },
+                            { field: 'date', op: 'isNull' }
+                        ]
+                    },
+                    { field: 'num', op: 'between', value: ['1', 5] },
+                    { field: 'bool', op: 'ne', value: true }
+                ]
             };
+            sequelizeTableMock.findAll.resolves([]);
+
+            return datastore.scan(testParams).then(() => {
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: {
+                        str: 'foo',
+                        AND: [
+                            {
+                                OR: [
+                                    { AND: [{ str: { 'NOT IN': ['SUCCESS', 'FAILURE'] } }, { date: { IS: null } }] },
+                                    { num: { BETWEEN: [1, 5] } },
+                                    { bool: { NE: true } }
+                                ]
+                            }
+                        ]
+                    },
+                    order: [['id', 'DESC']]
+                });
+            });
+        });
 
-            sequelizeTableMock.update.resolves();
+        it('throws an error when a filter field is not valid', () => {
+            testParams.filter = { and: [{ field: 'banana', op: 'notNull' }] };
 
             return datastore
-                .update({
-                    table: 'testModels',
-                    params: {
-                        id,
-                        targetKey: 'updatedValue'
-                    }
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
                 })
-                .then(data => {
-                    assert.deepEqual(data, expectedResult);
-                    assert.calledWith(sequelizeTableMock.update, {
-                        id,
-                        targetKey: 'updatedValue'
-                    });
+                .catch(err => {
+                    assert.equal(err.message, 'Invalid filter field "banana"');
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.notCalled(sequelizeTableMock.findAll);
+                });
+        });
+
+        it('throws an error when a filter value does not match the field type', () => {
+            testParams.filter = { field: 'num', op: 'in', value: [1, 'two'] };
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'Invalid value for filter field "num": "value" must be a number');
+                });
+        });
+
+        it('throws an error when filtering on the value of an object field', () => {
+            testParams.filter = { field: 'obj', op: 'eq', value: { a: 'b' } };
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'Filter field "obj" only supports isNull and notNull');
+                });
+        });
+
+        it('throws an error when a filter is combined with groupBy', () => {
+            testParams.filter = { field: 'num', op: 'gt', value: 1 };
+            testParams.groupBy = ['str'];
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'Scan filter cannot be combined with groupBy');
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.notCalled(sequelizeTableMock.findAll);
+                });
+        });
+
+        it('scans for data matching a JSON path filter', () => {
+            sequelizeClientMock.getDialect = sinon.stub().returns('postgres');
+            datastore = new Datastore({ nativeJson: true });
+            testParams.filter = { field: 'obj', path: ['screwdriver.cd/timeout', 'value'], op: 'gte', value: 60 };
+            sequelizeTableMock.findAll.resolves([{ toJSON: sinon.stub().returns({ id: 1, obj: { a: 'b' } }) }]);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, [{ id: 1, obj: { a: 'b' } }]);
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: { AND: [{ obj: { 'screwdriver.cd/timeout': { value: { GTE: 60 } } } }] },
+                    order: [['id', 'DESC']]
+                });
+            });
+        });
+
+        it('scans for data matching a JSON path filter on sqlite', () => {
+            sequelizeClientMock.literal.returnsArg(0);
+            datastore = new Datastore({ nativeJson: true });
+            testParams.filter = { field: 'obj', path: ['screwdriver.cd/buildCluster'], op: 'in', value: ['aws'] };
+            sequelizeTableMock.findAll.resolves([]);
+
+            return datastore.scan(testParams).then(() => {
+                assert.calledWith(sequelizeTableMock.findAll, {
+                    where: {
+                        AND: [
+                            {
+                                attribute: 'json_extract(`obj`, \'$."screwdriver.cd/buildCluster"\')',
+                                condition: { IN: ['aws'] }
+                            }
+                        ]
+                    },
+                    order: [['id', 'DESC']]
                 });
+            });
         });
 
-        it('fails when given an unknown table name', () =>
-            datastore
-                .update({
-                    table: 'doesNotExist',
-                    params: {
-                        id: 'doesNotMatter',
-                        data: {}
-                    }
-                })
+        it('throws an error when a JSON path filter is used without nativeJson', () => {
+            testParams.filter = { field: 'obj', path: ['a'], op: 'eq', value: 'b' };
+
+            return datastore
+                .scan(testParams)
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.match(err.message, /Invalid table name/);
-                }));
-
-        it('fails when it encounters an error', () => {
-            const testError = new Error('testError');
+                    assert.equal(err.message, 'Filter field "obj" is not a JSON column, path filters need nativeJson');
+                });
+        });
 
-            sequelizeTableMock.update.rejects(testError);
+        it('throws an error when a filter condition is malformed', () => {
+            testParams.filter = { field: 'num', op: 'between', value: [1] };
 
             return datastore
-                .update({
-                    table: 'testModels',
-                    params: {
-                        id: 'doesNotMatter',
-                        data: {}
-                    }
-                })
+                .scan(testParams)
                 .then(() => {
                     throw new Error('Oops');
                 })
                 .catch(err => {
-                    assert.isOk(err, 'Error should be returned');
-                    assert.equal(err.message, testError.message);
+                    assert.equal(err.message, '"filter.value" must contain 2 items');
                 });
         });
-    });
-
-    describe('scan', () => {
-        let testParams;
-
-        beforeEach(() => {
-            testParams = {
-                table: 'testModels'
-            };
-        });
 
-        it('scans all the data', () => {
-            const testData = [
-                {
-                    id: 'data1',
-                    key: 'value1'
-                },
-                {
-                    id: 'data2',
-                    key: 'value2'
-                }
-            ];
-            const testInternal = [
-                {
-                    toJSON: sinon.stub().returns(testData[0])
-                },
-                {
-                    toJSON: sinon.stub().returns(testData[1])
-                }
-            ];
+        it('scans the first page with cursor pagination', () => {
+            const testData = [{ id: 5 }, { id: 4 }, { id: 3 }];
 
-            sequelizeTableMock.findAll.resolves(testInternal);
+            testParams.paginate = { count: 2 };
+            testParams.cursor = null;
+            sequelizeTableMock.findAll.resolves(testData.map(data => ({ toJSON: sinon.stub().returns(data) })));
 
             return datastore.scan(testParams).then(data => {
-                assert.deepEqual(data, testData);
+                assert.deepEqual(data.rows, [{ id: 5 }, { id: 4 }]);
+                assert.deepEqual(JSON.parse(Buffer.from(data.nextCursor, 'base64url').toString()), {
+                    sortKey: 'id',
+                    direction: 'DESC',
+                    value: 4,
+                    id: 4
+                });
                 assert.calledWith(sequelizeTableMock.findAll, {
                     where: {},
-                    order: [['id', 'DESC']]
+                    order: [['id', 'DESC']],
+                    limit: 3
                 });
             });
         });
 
-        it('scans all the data in reverse', () => {
-            const testData = [
-                {
-                    id: 'data1',
-                    key: 'value1'
-                },
-                {
-                    id: 'data2',
-                    key: 'value2'
-                }
-            ];
-            const testInternal = [
-                {
-                    toJSON: sinon.stub().returns(testData[0])
-                },
-                {
-                    toJSON: sinon.stub().returns(testData[1])
-                }
-            ];
+        it('scans the page after the cursor ordered by sortBy and id', () => {
+            const cursor = Buffer.from(
+                JSON.stringify({ sortKey: 'str', direction: 'ASC', value: 'foo', id: 7 })
+            ).toString('base64url');
 
+            testParams.paginate = { count: 2 };
+            testParams.cursor = cursor;
+            testParams.sortBy = 'str';
             testParams.sort = 'ascending';
-
-            sequelizeTableMock.findAll.resolves(testInternal);
+            testParams.params = { num: 1 };
+            sequelizeTableMock.findAll.resolves([{ toJSON: sinon.stub().returns({ id: 8, str: 'foo' }) }]);
 
             return datastore.scan(testParams).then(data => {
-                assert.deepEqual(data, testData);
+                assert.deepEqual(data, { rows: [{ id: 8, str: 'foo' }], nextCursor: null });
                 assert.calledWith(sequelizeTableMock.findAll, {
-                    where: {},
-                    order: [['id', 'ASC']]
+                    where: {
+                        AND: [{ num: 1 }, { OR: [{ str: { GT: 'foo' } }, { str: 'foo', id: { GT: 7 } }] }]
+                    },
+                    order: [
+                        ['str', 'ASC'],
+                        ['id', 'ASC']
+                    ],
+                    limit: 3
                 });
             });
         });
 
-        it('scans a page of data', () => {
-            const dummyData = [];
+        it('pages through NULL sort values where the dialect sorts them', () => {
+            const cursorOf = (direction, value) =>
+                Buffer.from(JSON.stringify({ sortKey: 'str', direction, value, id: 7 })).toString('base64url');
+            const whereAfter = (dialect, sort, value) => {
+                sequelizeClientMock.getDialect = sinon.stub().returns(dialect);
+                sequelizeTableMock.findAll.resetHistory();
+
+                return datastore
+                    .scan({
+                        table: 'testModels',
+                        sortBy: 'str',
+                        sort,
+                        paginate: { count: 2 },
+                        cursor: cursorOf(sort === 'ascending' ? 'ASC' : 'DESC', value)
+                    })
+                    .then(() => sequelizeTableMock.findAll.firstCall.args[0].where.AND[1]);
+            };
 
-            for (let i = 1; i <= 30; i += 1) {
-                dummyData.push({
-                    id: `data${i}`,
-                    key: `value${i}`
+            sequelizeTableMock.findAll.resolves([]);
+
+            return Promise.resolve()
+                .then(() => whereAfter('mysql', 'ascending', null))
+                .then(after => {
+                    // NULLs first: the remaining NULLs, then every other value
+                    assert.deepEqual(after, { OR: [{ str: null, id: { GT: 7 } }, { str: { NE: null } }] });
+
+                    return whereAfter('mysql', 'descending', 'foo');
+                })
+                .then(after => {
+                    // NULLs last: they follow every other value
+                    assert.deepEqual(after, {
+                        OR: [{ str: { LT: 'foo' } }, { str: 'foo', id: { LT: 7 } }, { str: null }]
+                    });
+
+                    return whereAfter('postgres', 'ascending', 'foo');
+                })
+                .then(after => {
+                    assert.deepEqual(after, {
+                        OR: [{ str: { GT: 'foo' } }, { str: 'foo', id: { GT: 7 } }, { str: null }]
+                    });
+
+                    return whereAfter('postgres', 'ascending', null);
+                })
+                .then(after => {
+                    assert.deepEqual(after, { str: null, id: { GT: 7 } });
                 });
-            }
+        });
 
-            const testData = dummyData.slice(11, 21);
-            const testInternal = testData.map(data => ({
-                toJSON: sinon.stub().returns(data)
-            }));
+        it('fails when the cursor is not valid', () => {
+            testParams.paginate = { count: 2 };
+            testParams.cursor = 'banana';
 
-            testParams.paginate = {
-                count: 10,
-                page: 2
-            };
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'Invalid cursor');
+                    assert.notCalled(sequelizeTableMock.findAll);
+                });
+        });
 
-            sequelizeTableMock.findAll.resolves(testInternal);
+        it('fails when the cursor was returned for a different sort', () => {
+            testParams.paginate = { count: 2 };
+            testParams.cursor = Buffer.from(
+                JSON.stringify({ sortKey: 'id', direction: 'DESC', value: 4, id: 4 })
+            ).toString('base64url');
+            testParams.sort = 'ascending';
 
-            return datastore.scan(testParams).then(data => {
-                assert.deepEqual(data, testData);
-                assert.calledWith(sequelizeTableMock.findAll, {
-                    where: {},
-                    order: [['id', 'DESC']],
-                    limit: 10,
-                    offset: 10
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'Cursor does not match a scan sorted by "id" ASC');
+                });
+        });
+
+        it('fails when cursor pagination is combined with groupBy', () => {
+            testParams.paginate = { count: 2 };
+            testParams.cursor = null;
+            testParams.groupBy = ['str'];
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Cursor pagination does not support groupBy/);
+                });
+        });
+
+        it('fails when a cursor is given without paginate', () => {
+            testParams.cursor = null;
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /"cursor" missing required peer "paginate"/);
                 });
-            });
         });
 
         it('scans all the data and returns sorted by sortBy field', () => {
@@ -1619,6 +3917,48 @@ describe('index test', function () {
                 });
         });
 
+        it('fails with a decode error naming the record when a JSON field is corrupted', () => {
+            sequelizeTableMock.findAll.resolves([
+                { toJSON: sinon.stub().returns({ id: 1, obj: '{"a":"b"}' }) },
+                { toJSON: sinon.stub().returns({ id: 2, obj: '{"a":' }) }
+            ]);
+
+            return datastore
+                .scan(testParams)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DecodeError);
+                    assert.match(err.message, /Could not decode field "obj" of record 2 in "testModels"/);
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.id, 2);
+                    assert.equal(err.field, 'obj');
+                });
+        });
+
+        it('returns the stored string of a corrupted JSON field in raw mode', () => {
+            datastore = new Datastore({ jsonDecodeMode: 'raw' });
+            sequelizeTableMock.findAll.resolves([
+                { toJSON: sinon.stub().returns({ id: 2, obj: '{"a":', arr: '[1]' }) }
+            ]);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, [{ id: 2, obj: '{"a":', arr: [1] }]);
+            });
+        });
+
+        it('drops a corrupted JSON field in null mode', () => {
+            datastore = new Datastore({ jsonDecodeMode: 'null' });
+            sequelizeTableMock.findAll.resolves([
+                { toJSON: sinon.stub().returns({ id: 2, obj: '{"a":', arr: '[1]' }) }
+            ]);
+
+            return datastore.scan(testParams).then(data => {
+                assert.deepEqual(data, [{ id: 2, arr: [1] }]);
+            });
+        });
+
         it('scans for data within date range', () => {
             sequelizeTableMock.findAll.resolves([]);
             testParams.startTime = '2019-01-28T11:00:00.000Z';
@@ -1698,6 +4038,171 @@ describe('index test', function () {
         });
     });
 
+    describe('scanIterator', () => {
+        const rowsMock = ids => ids.map(id => ({ toJSON: sinon.stub().returns({ id }) }));
+
+        it('yields every record, fetching one batch at a time', () => {
+            const iterator = datastore.scanIterator({ table: 'testModels', params: { num: 1 }, batchSize: 2 });
+            const ids = [];
+
+            sequelizeTableMock.findAll.onFirstCall().resolves(rowsMock([5, 4, 3]));
+            sequelizeTableMock.findAll.onSecondCall().resolves(rowsMock([3, 2, 1]));
+            sequelizeTableMock.findAll.onThirdCall().resolves(rowsMock([1]));
+
+            const consume = () =>
+                iterator.next().then(({ value, done }) => {
+                    if (done) {
+                        return null;
+                    }
+                    ids.push(value.id);
+                    assert.equal(sequelizeTableMock.findAll.callCount, Math.ceil(ids.length / 2));
+
+                    return consume();
+                });
+
+            return consume().then(() => {
+                assert.deepEqual(ids, [5, 4, 3, 2, 1]);
+                assert.calledThrice(sequelizeTableMock.findAll);
+                assert.calledWith(sequelizeTableMock.findAll.firstCall, {
+                    where: { num: 1 },
+                    order: [['id', 'DESC']],
+                    limit: 3
+                });
+                assert.deepEqual(sequelizeTableMock.findAll.thirdCall.args[0].where, {
+                    AND: [{ num: 1 }, { id: { LT: 2 } }]
+                });
+            });
+        });
+
+        it('yields records with a NULL sort value', () => {
+            const rows = records => records.map(record => ({ toJSON: sinon.stub().returns(record) }));
+            const ids = [];
+            const consume = iterator =>
+                iterator.next().then(({ value, done }) => {
+                    if (done) {
+                        return null;
+                    }
+                    ids.push(value.id);
+
+                    return consume(iterator);
+                });
+
+            sequelizeTableMock.findAll.onFirstCall().resolves(
+                rows([
+                    { id: 1, str: null },
+                    { id: 3, str: null }
+                ])
+            );
+            sequelizeTableMock.findAll.onSecondCall().resolves(rows([{ id: 2, str: 'a' }]));
+
+            return consume(
+                datastore.scanIterator({ table: 'testModels', sortBy: 'str', sort: 'ascending', batchSize: 1 })
+            ).then(() => {
+                assert.deepEqual(ids, [1, 2]);
+                assert.deepEqual(sequelizeTableMock.findAll.secondCall.args[0].where, {
+                    AND: [{}, { OR: [{ str: null, id: { GT: 1 } }, { str: { NE: null } }] }]
+                });
+            });
+        });
+
+        it('stops fetching when the consumer stops early', () => {
+            const iterator = datastore.scanIterator({ table: 'testModels', batchSize: 1 });
+
+            sequelizeTableMock.findAll.resolves(rowsMock([2, 1]));
+
+            return iterator
+                .next()
+                .then(({ value }) => {
+                    assert.deepEqual(value, { id: 2 });
+
+                    return iterator.return();
+                })
+                .then(() => iterator.next())
+                .then(({ done }) => {
+                    assert.isTrue(done);
+                    assert.calledOnce(sequelizeTableMock.findAll);
+                });
+        });
+
+        it('fails when given pagination options', () =>
+            datastore
+                .scanIterator({ table: 'testModels', paginate: { count: 1, page: 1 } })
+                .next()
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /"paginate" is not allowed/);
+                    assert.instanceOf(err, Datastore.errors.ValidationError);
+                    assert.equal(err.table, 'testModels');
+                    assert.equal(err.operation, 'scanIterator');
+                    assert.notCalled(sequelizeTableMock.findAll);
+                }));
+
+        it('rejects on the first batch when given no config', () => {
+            const iterator = datastore.scanIterator();
+
+            return iterator
+                .next()
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, Datastore.errors.DatastoreError);
+                    assert.equal(err.operation, 'scan');
+                    assert.notCalled(sequelizeTableMock.findAll);
+                });
+        });
+    });
+
+    describe('findCorruptRecords', () => {
+        it('lists the records with JSON fields that cannot be parsed', () => {
+            sequelizeTableMock.findAll.onFirstCall().resolves([
+                { id: 1, arr: '[1]', obj: null },
+                { id: 2, arr: '[', obj: '{"a":"b"}' }
+            ]);
+            sequelizeTableMock.findAll.onSecondCall().resolves([{ id: 5, arr: '[]', obj: 'oops' }]);
+
+            return datastore.findCorruptRecords({ table: 'testModels', batchSize: 2 }).then(data => {
+                assert.deepEqual(
+                    data.map(({ id, field }) => ({ id, field })),
+                    [
+                        { id: 2, field: 'arr' },
+                        { id: 5, field: 'obj' }
+                    ]
+                );
+                assert.isString(data[0].error);
+                assert.calledWith(sequelizeTableMock.findAll.firstCall, {
+                    attributes: ['id', 'arr', 'obj'],
+                    where: {},
+                    order: [['id', 'ASC']],
+                    limit: 2,
+                    raw: true
+                });
+                assert.deepEqual(sequelizeTableMock.findAll.secondCall.args[0].where, { id: { GT: 2 } });
+            });
+        });
+
+        it('finds nothing to check with nativeJson', () => {
+            datastore = new Datastore({ nativeJson: true });
+
+            return datastore.findCorruptRecords({ table: 'testModels' }).then(data => {
+                assert.deepEqual(data, []);
+                assert.notCalled(sequelizeTableMock.findAll);
+            });
+        });
+
+        it('fails when given an unknown table name', () =>
+            datastore
+                .findCorruptRecords({ table: 'doesNotExist' })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Invalid table name/);
+                }));
+    });
+
     describe('query', () => {
         let testParams;
 
@@ -0,0 +1,178 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const logger = require('screwdriver-logger');
+const { MemoryCache, ReadThroughCache } = require('../../lib/cache');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('cache test', () => {
+    afterEach(() => {
+        sinon.restore();
+    });
+
+    describe('MemoryCache', () => {
+        it('evicts the least recently used entries', () => {
+            const cache = new MemoryCache({ maxEntries: 2 });
+
+            return cache
+                .set('a', 1, 1000)
+                .then(() => cache.set('b', 2, 1000))
+                .then(() => cache.get('a'))
+                .then(() => cache.set('c', 3, 1000))
+                .then(() => Promise.all(['a', 'b', 'c'].map(key => cache.get(key))))
+                .then(values => {
+                    assert.deepEqual(values, [1, undefined, 3]);
+                });
+        });
+
+        it('expires entries and hands out copies', () => {
+            const clock = sinon.useFakeTimers();
+            const cache = new MemoryCache();
+            const record = { id: 1, tags: ['a'] };
+
+            return cache
+                .set('jobs:1', record, 1000)
+                .then(() => {
+                    record.tags.push('b');
+
+                    return cache.get('jobs:1');
+                })
+                .then(value => {
+                    assert.deepEqual(value, { id: 1, tags: ['a'] });
+                    value.tags.push('c');
+                    clock.tick(1000);
+
+                    return cache.get('jobs:1');
+                })
+                .then(value => {
+                    assert.isUndefined(value);
+                })
+                .finally(() => clock.restore());
+        });
+    });
+
+    describe('ReadThroughCache', () => {
+        const keys = ['pipelineId', 'name'];
+        let load;
+
+        beforeEach(() => {
+            load = sinon.stub().resolves({ id: 7, pipelineId: 1, name: 'main' });
+        });
+
+        it('caches records read by id until they are invalidated', () => {
+            const cache = new ReadThroughCache({}, 'sd_');
+
+            return cache
+                .read('jobs', { id: 7 }, keys, load)
+                .then(() => cache.read('jobs', { id: '7' }, keys, load))
+                .then(record => {
+                    assert.calledOnce(load);
+                    assert.deepEqual(record, { id: 7, pipelineId: 1, name: 'main' });
+                    assert.deepEqual(Array.from(cache.backend.entries.keys()), ['sd_jobs:7']);
+
+                    return cache.invalidate('jobs', [7]);
+                })
+                .then(() => cache.read('jobs', { id: 7 }, keys, load))
+                .then(() => {
+                    assert.calledTwice(load);
+                });
+        });
+
+        it('caches records read by unique keys through their id', () => {
+            const cache = new ReadThroughCache({});
+
+            return cache
+                .read('jobs', { pipelineId: 1, name: 'main' }, keys, load)
+                .then(() => cache.read('jobs', { name: 'main', pipelineId: '1' }, keys, load))
+                .then(() => cache.read('jobs', { id: 7 }, keys, load))
+                .then(() => {
+                    assert.calledOnce(load);
+
+                    return cache.invalidate('jobs', [7]);
+                })
+                .then(() => cache.read('jobs', { pipelineId: 1, name: 'main' }, keys, load))
+                .then(() => {
+                    assert.calledTwice(load);
+                });
+        });
+
+        it('reads from the database when the unique keys of the cached record changed', () => {
+            const cache = new ReadThroughCache({});
+
+            return cache
+                .read('jobs', { pipelineId: 1, name: 'main' }, keys, load)
+                .then(() => {
+                    load.resolves({ id: 8, pipelineId: 1, name: 'main' });
+
+                    return cache.backend.set('jobs:7', { id: 7, pipelineId: 1, name: 'renamed' }, 1000);
+                })
+                .then(() => cache.read('jobs', { pipelineId: 1, name: 'main' }, keys, load))
+                .then(record => {
+                    assert.calledTwice(load);
+                    assert.equal(record.id, 8);
+                });
+        });
+
+        it('does not cache other lookups, missing records, or tables with a TTL of 0', () => {
+            const cache = new ReadThroughCache({ tables: { events: 0 } });
+
+            return Promise.all([
+                cache.read('jobs', { id: 1 }, keys, sinon.stub().resolves(null)),
+                cache.read('jobs', { name: 'main' }, keys, load),
+                cache.read('events', { id: 7 }, [], load)
+            ]).then(() => {
+                assert.equal(cache.backend.entries.size, 0);
+                assert.equal(cache.tableTtl('events'), 0);
+                assert.equal(cache.tableTtl('jobs'), 60000);
+            });
+        });
+
+        it('does not cache records read before a write of the same table', () => {
+            const cache = new ReadThroughCache({});
+            let resolveLoad;
+
+            load = () =>
+                new Promise(resolve => {
+                    resolveLoad = resolve;
+                });
+
+            const reading = cache.read('jobs', { id: 7 }, keys, load);
+
+            return cache.invalidate('jobs', [7]).then(() => {
+                resolveLoad({ id: 7, name: 'stale' });
+
+                return reading.then(record => {
+                    assert.equal(record.name, 'stale');
+                    assert.equal(cache.backend.entries.size, 0);
+                });
+            });
+        });
+
+        it('uses a custom backend and falls back to the database when it fails', () => {
+            const backend = {
+                get: sinon.stub().rejects(new Error('connection refused')),
+                set: sinon.stub().resolves(),
+                delete: sinon.stub().resolves()
+            };
+            const cache = new ReadThroughCache({ backend, ttl: 5000 });
+
+            sinon.stub(logger, 'warn');
+
+            return cache.read('jobs', { id: 7 }, keys, load).then(record => {
+                assert.equal(record.id, 7);
+                assert.calledWith(logger.warn, 'Failed to get cache entry', {
+                    key: 'jobs:7',
+                    error: 'connection refused'
+                });
+                assert.calledWith(backend.set, 'jobs:7', record, 5000);
+            });
+        });
+
+        it('throws on an invalid config', () => {
+            assert.throws(() => new ReadThroughCache({ ttl: -1 }), /Invalid cache: "ttl"/);
+            assert.throws(() => new ReadThroughCache({ backend: { get() {} } }), /Invalid cache: backend must have/);
+        });
+    });
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { callbackSource, credentialSource, fileSource, tokenSource } = require('../../lib/credentials');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('credentials test', () => {
+    let dir;
+
+    /**
+     * Write a file with a given modification time
+     * @method writeFile
+     * @param  {String} name    File name
+     * @param  {String} content File content
+     * @param  {Number} mtime   Modification time in seconds
+     * @return {String}         File path
+     */
+    function writeFile(name, content, mtime) {
+        const file = path.join(dir, name);
+
+        fs.writeFileSync(file, content);
+        fs.utimesSync(file, mtime, mtime);
+
+        return file;
+    }
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credentials-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('fileSource', () => {
+        it('reads the file again only once it has changed', () => {
+            const file = writeFile('ca.pem', 'first', 1000);
+            const source = fileSource(file);
+
+            return source
+                .get()
+                .then(value => {
+                    assert.equal(value, 'first');
+                    fs.writeFileSync(file, 'unchanged');
+                    fs.utimesSync(file, 1000, 1000);
+
+                    return source.get();
+                })
+                .then(value => {
+                    assert.equal(value, 'first');
+                    writeFile('ca.pem', 'second', 2000);
+
+                    return source.get();
+                })
+                .then(value => {
+                    assert.equal(value, 'second');
+                });
+        });
+
+        it('reads the file again after a refresh', () => {
+            const file = writeFile('ca.pem', 'first', 1000);
+            const source = fileSource(file);
+
+            return source
+                .get()
+                .then(() => {
+                    writeFile('ca.pem', 'second', 1000);
+                    source.refresh();
+
+                    return source.get();
+                })
+                .then(value => {
+                    assert.equal(value, 'second');
+                });
+        });
+    });
+
+    describe('callbackSource', () => {
+        it('calls the function for each new connection', () => {
+            const callback = sinon.stub();
+            const source = callbackSource(callback);
+
+            callback.onFirstCall().rejects(new Error('secrets manager unavailable'));
+            callback.onSecondCall().resolves('first');
+            callback.onThirdCall().resolves('second');
+
+            return source
+                .get()
+                .catch(err => {
+                    assert.equal(err.message, 'secrets manager unavailable');
+
+                    return Promise.all([source.get(), source.get()]);
+                })
+                .then(values => {
+                    assert.deepEqual(values, ['first', 'first']);
+
+                    return source.get();
+                })
+                .then(value => {
+                    assert.equal(value, 'second');
+                    assert.calledThrice(callback);
+                });
+        });
+
+        it('calls the function again after a refresh while a call is running', () => {
+            const callback = sinon.stub();
+            const source = callbackSource(callback);
+
+            callback.onFirstCall().resolves('first');
+            callback.onSecondCall().resolves('second');
+
+            const first = source.get();
+
+            source.refresh();
+
+            return Promise.all([first, source.get()]).then(values => {
+                assert.deepEqual(values, ['first', 'second']);
+                assert.calledTwice(callback);
+            });
+        });
+    });
+
+    describe('tokenSource', () => {
+        const connection = { host: 'db', port: 5432, username: 'screwdriver', database: 'screwdriver' };
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers({ now: 1000000, toFake: ['Date'] });
+        });
+
+        afterEach(() => {
+            clock.restore();
+        });
+
+        it('generates a new token shortly before the cached one expires', () => {
+            const generate = sinon.stub();
+            const source = tokenSource(generate, 60000);
+
+            generate.onFirstCall().resolves({ token: 'first', expiresAt: new Date(1000000 + 900000) });
+            generate.onSecondCall().resolves({ token: 'second', expiresAt: 1000000 + 1800000 });
+
+            return Promise.all([source.get(connection), source.get(connection)])
+                .then(values => {
+                    assert.deepEqual(values, [{ password: 'first' }, { password: 'first' }]);
+                    assert.calledOnceWithExactly(generate, connection);
+                    clock.tick(839999);
+
+                    return source.get(connection);
+                })
+                .then(value => {
+                    assert.deepEqual(value, { password: 'first' });
+                    clock.tick(1);
+
+                    return source.get(connection);
+                })
+                .then(value => {
+                    assert.deepEqual(value, { password: 'second' });
+                    assert.calledTwice(generate);
+                });
+        });
+
+        it('caches a token per user, host and database', () => {
+            const generate = sinon.stub().callsFake(({ host }) => ({ token: host, expiresAt: 1000000 + 900000 }));
+            const source = tokenSource(generate, 60000);
+
+            return Promise.all([source.get(connection), source.get({ ...connection, host: 'replica' })]).then(
+                values => {
+                    assert.deepEqual(values, [{ password: 'db' }, { password: 'replica' }]);
+                    assert.calledTwice(generate);
+                }
+            );
+        });
+
+        it('generates a new token after a refresh, a failure, or when no expiry is known', () => {
+            const generate = sinon.stub();
+            const source = tokenSource(generate, 60000);
+
+            generate.onCall(0).rejects(new Error('token service unavailable'));
+            generate.onCall(1).resolves('first');
+            generate.onCall(2).resolves({ token: 'second', expiresAt: 1000000 + 900000 });
+            generate.onCall(3).resolves({ token: 'third', expiresAt: 1000000 + 900000 });
+
+            return source
+                .get(connection)
+                .catch(err => {
+                    assert.equal(err.message, 'token service unavailable');
+
+                    return source.get(connection);
+                })
+                .then(value => {
+                    assert.deepEqual(value, { password: 'first' });
+
+                    return source.get(connection);
+                })
+                .then(value => {
+                    assert.deepEqual(value, { password: 'second' });
+                    source.refresh();
+
+                    return source.get(connection);
+                })
+                .then(value => {
+                    assert.deepEqual(value, { password: 'third' });
+                });
+        });
+
+        it('rejects invalid tokens', () =>
+            tokenSource(() => ({ expiresAt: 1000000 + 900000 }), 60000)
+                .get(connection)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Invalid authentication token/);
+                }));
+    });
+
+    describe('credentialSource', () => {
+        it('reads JSON credentials files', () => {
+            const file = writeFile('db.json', '{"username":"screwdriver","password":"s3cret"}', 1000);
+
+            return credentialSource(file)
+                .get()
+                .then(credentials => {
+                    assert.deepEqual(credentials, { username: 'screwdriver', password: 's3cret' });
+                });
+        });
+
+        it('reads files holding the password alone', () => {
+            const file = writeFile('password', '12345\n', 1000);
+
+            return credentialSource(file)
+                .get()
+                .then(credentials => {
+                    assert.deepEqual(credentials, { password: '12345' });
+                });
+        });
+
+        it('calls credential functions', () =>
+            credentialSource(() => ({ username: 'screwdriver', password: 'token' }))
+                .get()
+                .then(credentials => {
+                    assert.deepEqual(credentials, { username: 'screwdriver', password: 'token' });
+                }));
+    });
+});
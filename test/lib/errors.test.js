@@ -0,0 +1,171 @@
+'use strict';
+
+const { assert } = require('chai');
+const Joi = require('joi');
+const errors = require('../../lib/errors');
+
+/**
+ * Build an error shaped like the ones Sequelize rejects with
+ * @method sequelizeError
+ * @param  {String} name        Sequelize error name, eg: SequelizeDatabaseError
+ * @param  {String} message     Error message
+ * @param  {Object} [properties] Extra properties, eg: parent, fields
+ * @return {Error}
+ */
+function sequelizeError(name, message, properties = {}) {
+    const err = new Error(message);
+
+    err.name = name;
+
+    return Object.assign(err, properties);
+}
+
+describe('errors test', () => {
+    describe('normalizeError', () => {
+        it('maps unique violations of every dialect and lists the conflicting keys', () => {
+            const mysql = sequelizeError('SequelizeUniqueConstraintError', 'Validation error', {
+                fields: { name: 'screwdriver-cd/ui', scmUri: 'github.com:1:main' },
+                parent: { code: 'ER_DUP_ENTRY' }
+            });
+            const sqlite = sequelizeError('SequelizeUniqueConstraintError', 'Validation error', {
+                fields: ['name', 'scmUri'],
+                parent: { code: 'SQLITE_CONSTRAINT', message: 'SQLITE_CONSTRAINT: UNIQUE constraint failed' }
+            });
+
+            const mysqlErr = errors.normalizeError(mysql, { table: 'pipelines', operation: 'save' });
+            const sqliteErr = errors.normalizeError(sqlite, { table: 'pipelines', operation: 'save' });
+
+            assert.instanceOf(mysqlErr, errors.UniqueViolationError);
+            assert.instanceOf(mysqlErr, errors.DatastoreError);
+            assert.deepEqual(mysqlErr.keys, ['name', 'scmUri']);
+            assert.deepEqual(mysqlErr.values, { name: 'screwdriver-cd/ui', scmUri: 'github.com:1:main' });
+            assert.equal(mysqlErr.table, 'pipelines');
+            assert.equal(mysqlErr.operation, 'save');
+            assert.equal(mysqlErr.message, 'Validation error');
+            assert.equal(mysqlErr.cause, mysql);
+
+            assert.instanceOf(sqliteErr, errors.UniqueViolationError);
+            assert.deepEqual(sqliteErr.keys, ['name', 'scmUri']);
+        });
+
+        it('maps database errors by driver code', () => {
+            const cases = [
+                ['ER_LOCK_DEADLOCK', errors.DeadlockError],
+                ['40P01', errors.DeadlockError],
+                ['40001', errors.DeadlockError],
+                ['ER_LOCK_WAIT_TIMEOUT', errors.TimeoutError],
+                ['57014', errors.TimeoutError],
+                ['SQLITE_BUSY', errors.TimeoutError],
+                ['ER_NO_REFERENCED_ROW_2', errors.ForeignKeyError],
+                ['23503', errors.ForeignKeyError],
+                ['23505', errors.UniqueViolationError],
+                ['ER_BAD_NULL_ERROR', errors.ValidationError],
+                ['23502', errors.ValidationError],
+                ['PROTOCOL_CONNECTION_LOST', errors.ConnectionLostError],
+                ['57P01', errors.ConnectionLostError]
+            ];
+
+            cases.forEach(([code, ErrorClass]) => {
+                const err = sequelizeError('SequelizeDatabaseError', `failed with ${code}`, { parent: { code } });
+
+                assert.instanceOf(errors.normalizeError(err), ErrorClass, code);
+            });
+        });
+
+        it('maps SQLite constraint errors by message', () => {
+            const notNull = sequelizeError('SequelizeUniqueConstraintError', 'Validation error', {
+                fields: [],
+                parent: { code: 'SQLITE_CONSTRAINT', message: 'SQLITE_CONSTRAINT: NOT NULL constraint failed: t.b' }
+            });
+            const foreignKey = sequelizeError(
+                'SequelizeDatabaseError',
+                'SQLITE_CONSTRAINT: FOREIGN KEY constraint failed',
+                { parent: { code: 'SQLITE_CONSTRAINT', message: 'SQLITE_CONSTRAINT: FOREIGN KEY constraint failed' } }
+            );
+
+            assert.instanceOf(errors.normalizeError(notNull), errors.ValidationError);
+            assert.instanceOf(errors.normalizeError(foreignKey), errors.ForeignKeyError);
+        });
+
+        it('tells statement timeouts apart from other timeouts', () => {
+            const postgres = sequelizeError('SequelizeDatabaseError', 'canceling statement due to statement timeout', {
+                parent: { code: '57014', message: 'canceling statement due to statement timeout' }
+            });
+            const cancelled = sequelizeError('SequelizeDatabaseError', 'canceling statement due to user request', {
+                parent: { code: '57014', message: 'canceling statement due to user request' }
+            });
+            const mysql = sequelizeError('SequelizeDatabaseError', 'Query execution was interrupted', {
+                parent: { code: 'ER_QUERY_TIMEOUT' }
+            });
+
+            assert.instanceOf(errors.normalizeError(postgres), errors.StatementTimeoutError);
+            assert.instanceOf(errors.normalizeError(mysql), errors.StatementTimeoutError);
+            assert.instanceOf(errors.normalizeError(mysql), errors.TimeoutError);
+            assert.notInstanceOf(errors.normalizeError(cancelled), errors.StatementTimeoutError);
+            assert.instanceOf(errors.normalizeError(cancelled), errors.TimeoutError);
+        });
+
+        it('maps rejected credentials of every dialect', () => {
+            const mysql = sequelizeError('SequelizeAccessDeniedError', "Access denied for user 'sd'", {
+                parent: { code: 'ER_ACCESS_DENIED_ERROR' }
+            });
+            const postgres = sequelizeError('SequelizeConnectionError', 'password authentication failed', {
+                parent: { code: '28P01' }
+            });
+
+            assert.instanceOf(errors.normalizeError(mysql), errors.AuthenticationError);
+            assert.instanceOf(errors.normalizeError(postgres), errors.AuthenticationError);
+        });
+
+        it('maps timeouts and connection failures reported by Sequelize', () => {
+            assert.instanceOf(
+                errors.normalizeError(sequelizeError('SequelizeConnectionAcquireTimeoutError', 'timeout')),
+                errors.TimeoutError
+            );
+            assert.instanceOf(
+                errors.normalizeError(sequelizeError('SequelizeConnectionRefusedError', 'refused')),
+                errors.ConnectionLostError
+            );
+            assert.instanceOf(
+                errors.normalizeError(
+                    sequelizeError('SequelizeDatabaseError', 'Connection terminated unexpectedly', { parent: {} })
+                ),
+                errors.ConnectionLostError
+            );
+        });
+
+        it('maps validation errors from Sequelize and Joi with their details', () => {
+            const sequelizeErr = errors.normalizeError(
+                sequelizeError('SequelizeValidationError', 'notNull Violation: builds.status cannot be null', {
+                    errors: [{ path: 'status', message: 'builds.status cannot be null' }]
+                })
+            );
+            const joiErr = errors.normalizeError(Joi.object({ table: Joi.string() }).validate({ table: 1 }).error);
+
+            assert.instanceOf(sequelizeErr, errors.ValidationError);
+            assert.deepEqual(sequelizeErr.details, [{ field: 'status', message: 'builds.status cannot be null' }]);
+            assert.instanceOf(joiErr, errors.ValidationError);
+            assert.equal(joiErr.message, '"table" must be a string');
+            assert.deepEqual(joiErr.details, [{ field: 'table', message: '"table" must be a string' }]);
+        });
+
+        it('keeps datastore errors and adds the missing context', () => {
+            const err = new errors.NotFoundError('Record 1 not found in "builds"', { table: 'builds', id: 1 });
+
+            assert.equal(errors.normalizeError(err, { table: 'jobs', operation: 'update' }), err);
+            assert.equal(err.table, 'builds');
+            assert.equal(err.operation, 'update');
+        });
+
+        it('wraps other errors in DatastoreError', () => {
+            const original = new Error('something else');
+            const err = errors.normalizeError(original, { table: 'jobs', operation: 'scan' });
+
+            assert.equal(err.constructor, errors.DatastoreError);
+            assert.equal(err.name, 'DatastoreError');
+            assert.equal(err.message, 'something else');
+            assert.equal(err.cause, original);
+            assert.equal(err.stack, original.stack);
+        });
+    });
+});
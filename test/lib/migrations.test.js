@@ -0,0 +1,607 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const { Op } = require('sequelize');
+const Migrator = require('../../lib/migrations');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('migrations test', () => {
+    const jobsTable = {
+        getTableName: () => 'jobs',
+        rawAttributes: {
+            id: { type: 'INTEGER UNSIGNED', primaryKey: true, autoIncrement: true, allowNull: false, field: 'id' },
+            name: { type: 'VARCHAR(64)', field: 'name' },
+            state: { type: 'VARCHAR(10)', defaultValue: 'ENABLED', allowNull: false, field: 'state' }
+        },
+        options: { indexes: [{ fields: ['state'] }] },
+        uniqueKeys: { uniquerow: { fields: ['name'] } }
+    };
+    const jobsSnapshot = {
+        columns: {
+            id: { type: 'INTEGER UNSIGNED', allowNull: false, primaryKey: true, autoIncrement: true },
+            name: { type: 'VARCHAR(64)' },
+            state: { type: 'VARCHAR(10)', allowNull: false, defaultValue: 'ENABLED' }
+        },
+        indexes: {
+            jobs_state: { name: 'jobs_state', fields: ['state'], unique: false },
+            jobs_uniquerow: { name: 'jobs_uniquerow', fields: ['name'], unique: true }
+        }
+    };
+    let clientMock;
+    let queryInterfaceMock;
+    let migrationsTableMock;
+    let lockTableMock;
+    let migrator;
+
+    beforeEach(() => {
+        queryInterfaceMock = {
+            tableExists: sinon.stub().resolves(false),
+            describeTable: sinon.stub().resolves({}),
+            createTable: sinon.stub().resolves(),
+            dropTable: sinon.stub().resolves(),
+            addColumn: sinon.stub().resolves(),
+            changeColumn: sinon.stub().resolves(),
+            removeColumn: sinon.stub().resolves(),
+            addIndex: sinon.stub().resolves(),
+            removeIndex: sinon.stub().resolves(),
+            removeConstraint: sinon.stub().resolves(),
+            showIndex: sinon.stub().resolves([]),
+            showConstraint: sinon.stub().resolves([]),
+            queryGenerator: {
+                createTableQuery: sinon.stub().returns('CREATE TABLE jobs;'),
+                attributesToSQL: sinon.stub().returnsArg(0),
+                addColumnQuery: sinon.stub().returns('ALTER TABLE jobs ADD state;'),
+                changeColumnQuery: sinon.stub().returns('ALTER TABLE jobs CHANGE name;'),
+                removeColumnQuery: sinon.stub().returns('ALTER TABLE jobs DROP state;'),
+                addIndexQuery: sinon.stub().returns('CREATE INDEX jobs_state;'),
+                removeIndexQuery: sinon.stub().returns('DROP INDEX jobs_state;')
+            }
+        };
+        migrationsTableMock = {
+            getTableName: sinon.stub().returns('schemaMigrations'),
+            sync: sinon.stub().resolves(),
+            findAll: sinon.stub().resolves([]),
+            create: sinon.stub().resolves(),
+            destroy: sinon.stub().resolves()
+        };
+        lockTableMock = {
+            sync: sinon.stub().resolves(),
+            create: sinon.stub().resolves(),
+            update: sinon.stub().resolves([1]),
+            destroy: sinon.stub().resolves(0)
+        };
+        clientMock = {
+            define: sinon.stub(),
+            getQueryInterface: sinon.stub().returns(queryInterfaceMock),
+            getDialect: sinon.stub().returns('mysql'),
+            normalizeAttribute: sinon.stub().returnsArg(0)
+        };
+        clientMock.define.withArgs('schemaMigrations').returns(migrationsTableMock);
+        clientMock.define.withArgs('schemaMigrationLock').returns(lockTableMock);
+
+        migrator = new Migrator({
+            client: clientMock,
+            tables: { jobs: jobsTable },
+            lockRetryInterval: 1,
+            lockTimeout: 20
+        });
+    });
+
+    /**
+     * Make a fake migrations row
+     * @method migrationRow
+     * @param  {Object} migration Migration data
+     * @return {Object}           Row with a get() method
+     */
+    function migrationRow(migration) {
+        return {
+            get: () => ({
+                ...migration,
+                steps: JSON.stringify(migration.steps),
+                snapshot: JSON.stringify(migration.snapshot)
+            })
+        };
+    }
+
+    describe('describeModel', () => {
+        it('describes columns, indexes and unique keys', () => {
+            assert.deepEqual(Migrator.describeModel(jobsTable), jobsSnapshot);
+        });
+
+        it('keeps object defaults of JSON columns as JSON text', () => {
+            const table = {
+                ...jobsTable,
+                rawAttributes: { ...jobsTable.rawAttributes, settings: { type: 'JSONB', defaultValue: {} } }
+            };
+
+            assert.deepEqual(Migrator.describeModel(table).columns.settings, { type: 'JSONB', defaultValue: '{}' });
+        });
+    });
+
+    describe('diffTable', () => {
+        it('creates a missing table with its indexes', () => {
+            const steps = Migrator.diffTable('jobs', undefined, jobsSnapshot);
+
+            assert.deepEqual(
+                steps.map(step => step.up.action),
+                ['createTable', 'addIndex', 'addIndex']
+            );
+            assert.deepEqual(steps[0].down, { action: 'dropTable', table: 'jobs' });
+        });
+
+        it('returns no steps when nothing changed', () => {
+            assert.deepEqual(Migrator.diffTable('jobs', jobsSnapshot, jobsSnapshot), []);
+        });
+
+        it('orders column and index changes with matching down steps', () => {
+            const current = {
+                columns: {
+                    id: jobsSnapshot.columns.id,
+                    name: { type: 'VARCHAR(128)' },
+                    archived: { type: 'BOOLEAN' }
+                },
+                indexes: {
+                    jobs_uniquerow: jobsSnapshot.indexes.jobs_uniquerow,
+                    jobs_archived: { name: 'jobs_archived', fields: ['archived'], unique: false }
+                }
+            };
+            const steps = Migrator.diffTable('jobs', jobsSnapshot, current);
+
+            assert.deepEqual(
+                steps.map(step => [step.up.action, step.down.action]),
+                [
+                    ['removeIndex', 'addIndex'],
+                    ['addColumn', 'removeColumn'],
+                    ['changeColumn', 'changeColumn'],
+                    ['removeColumn', 'addColumn'],
+                    ['addIndex', 'removeIndex']
+                ]
+            );
+            assert.deepEqual(steps[2].down.attribute, { type: 'VARCHAR(64)' });
+            assert.deepEqual(steps[3].down.attribute, jobsSnapshot.columns.state);
+        });
+    });
+
+    describe('destructiveReason', () => {
+        it('flags dropped columns', () => {
+            assert.match(
+                Migrator.destructiveReason({ action: 'removeColumn', column: 'state' }),
+                /drops column "state"/
+            );
+        });
+
+        it('flags new NOT NULL columns without a default', () => {
+            assert.match(
+                Migrator.destructiveReason({ action: 'addColumn', column: 'sha', attribute: { allowNull: false } }),
+                /adds NOT NULL column "sha" without a default/
+            );
+            assert.isNull(
+                Migrator.destructiveReason({
+                    action: 'addColumn',
+                    column: 'state',
+                    attribute: { allowNull: false, defaultValue: 'ENABLED' }
+                })
+            );
+        });
+
+        it('flags narrowed and changed column types', () => {
+            const change = (from, to) =>
+                Migrator.destructiveReason({
+                    action: 'changeColumn',
+                    column: 'name',
+                    previous: { type: from },
+                    attribute: { type: to }
+                });
+
+            assert.match(change('VARCHAR(128)', 'VARCHAR(64)'), /narrows column "name"/);
+            assert.match(change('MEDIUMTEXT', 'TEXT'), /narrows column "name"/);
+            assert.match(change('DOUBLE PRECISION', 'INTEGER'), /narrows column "name"/);
+            assert.match(change('TEXT', 'DOUBLE'), /changes column "name" from TEXT to DOUBLE/);
+            assert.isNull(change('VARCHAR(64)', 'TEXT'));
+        });
+
+        it('flags columns becoming NOT NULL without a default', () => {
+            assert.match(
+                Migrator.destructiveReason({
+                    action: 'changeColumn',
+                    column: 'name',
+                    previous: { type: 'TEXT' },
+                    attribute: { type: 'TEXT', allowNull: false }
+                }),
+                /makes column "name" NOT NULL without a default/
+            );
+        });
+
+        it('flags new unique indexes', () => {
+            const addIndex = unique =>
+                Migrator.destructiveReason({
+                    action: 'addIndex',
+                    table: 'jobs',
+                    index: { name: 'jobs_uniquerow', fields: ['pipelineId', 'name'], unique }
+                });
+
+            assert.match(addIndex(true), /adds unique index "jobs_uniquerow", which fails on duplicate rows/);
+            assert.isNull(addIndex(false));
+        });
+    });
+
+    describe('preview', () => {
+        it('lists the statements per table without running them', () =>
+            migrator.preview().then(plan => {
+                assert.equal(plan.version, 1);
+                assert.deepEqual(plan.tables, {
+                    jobs: {
+                        statements: ['CREATE TABLE jobs;', 'CREATE INDEX jobs_state;', 'CREATE INDEX jobs_state;'],
+                        destructive: []
+                    }
+                });
+                assert.calledWith(queryInterfaceMock.queryGenerator.addIndexQuery, 'jobs', {
+                    fields: ['name'],
+                    name: 'jobs_uniquerow',
+                    unique: true
+                });
+                assert.notCalled(queryInterfaceMock.createTable);
+                assert.notCalled(queryInterfaceMock.addIndex);
+                assert.notCalled(migrationsTableMock.sync);
+                assert.notCalled(lockTableMock.sync);
+            }));
+
+        it('flags destructive changes', () => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            previous.columns.name.type = 'VARCHAR(128)';
+            previous.columns.sha = { type: 'VARCHAR(40)' };
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 2, name: 'migration-2', steps: [], snapshot: { jobs: previous } })
+            ]);
+
+            return migrator.preview().then(plan => {
+                assert.deepEqual(plan.tables.jobs.statements, [
+                    'ALTER TABLE jobs CHANGE name;',
+                    'ALTER TABLE jobs DROP state;'
+                ]);
+                assert.deepEqual(plan.tables.jobs.destructive, [
+                    {
+                        action: 'changeColumn',
+                        column: 'name',
+                        reason: 'narrows column "name" from VARCHAR(128) to VARCHAR(64)'
+                    },
+                    { action: 'removeColumn', column: 'sha', reason: 'drops column "sha" and its data' }
+                ]);
+            });
+        });
+
+        it('flags unique indexes added to existing tables', () => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            delete previous.indexes.jobs_uniquerow;
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 2, name: 'migration-2', steps: [], snapshot: { jobs: previous } })
+            ]);
+
+            return migrator.preview().then(plan => {
+                assert.deepEqual(plan.tables.jobs.destructive, [
+                    {
+                        action: 'addIndex',
+                        index: 'jobs_uniquerow',
+                        reason: 'adds unique index "jobs_uniquerow", which fails on duplicate rows and locks the table while built'
+                    }
+                ]);
+            });
+        });
+
+        it('renders table rebuilds on sqlite', () => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            previous.columns.sha = { type: 'VARCHAR(40)' };
+            clientMock.getDialect.returns('sqlite');
+            queryInterfaceMock.queryGenerator.removeColumnQuery.returns('CREATE TABLE jobs_backup;DROP TABLE jobs;');
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 2, name: 'migration-2', steps: [], snapshot: { jobs: previous } })
+            ]);
+
+            return migrator.preview().then(plan => {
+                assert.deepEqual(plan.tables.jobs.statements, ['CREATE TABLE jobs_backup;', 'DROP TABLE jobs;']);
+                assert.calledWith(queryInterfaceMock.queryGenerator.removeColumnQuery, 'jobs', jobsSnapshot.columns);
+            });
+        });
+    });
+
+    describe('JSON columns on postgres', () => {
+        beforeEach(() => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            previous.columns.name.type = 'TEXT';
+            jobsTable.rawAttributes.name.type = 'JSONB';
+            clientMock.getDialect.returns('postgres');
+            clientMock.query = sinon.stub().resolves();
+            queryInterfaceMock.queryGenerator.quoteIdentifier = name => `"${name}"`;
+            queryInterfaceMock.queryGenerator.quoteTable = name => `"${name}"`;
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 2, name: 'migration-2', steps: [], snapshot: { jobs: previous } })
+            ]);
+        });
+
+        afterEach(() => {
+            jobsTable.rawAttributes.name.type = 'VARCHAR(64)';
+        });
+
+        it('casts existing values when previewing a change from text to JSONB', () =>
+            migrator.preview().then(plan => {
+                assert.deepEqual(plan.tables.jobs.statements, [
+                    'ALTER TABLE "jobs" ALTER COLUMN "name" TYPE JSONB USING ("name"::JSONB);',
+                    'ALTER TABLE jobs CHANGE name;'
+                ]);
+            }));
+
+        it('casts existing values before changing a column from text to JSONB', () =>
+            migrator.migrate().then(() => {
+                assert.calledWith(
+                    clientMock.query,
+                    'ALTER TABLE "jobs" ALTER COLUMN "name" TYPE JSONB USING ("name"::JSONB);'
+                );
+                assert.callOrder(clientMock.query, queryInterfaceMock.changeColumn);
+            }));
+    });
+
+    describe('migrate', () => {
+        it('creates missing tables and records a baseline migration', () =>
+            migrator.migrate().then(migration => {
+                assert.equal(migration.version, 1);
+                assert.equal(migration.name, 'baseline');
+                assert.calledWith(queryInterfaceMock.createTable, 'jobs', jobsSnapshot.columns);
+                assert.calledWith(queryInterfaceMock.addIndex, 'jobs', ['name'], {
+                    name: 'jobs_uniquerow',
+                    unique: true
+                });
+                assert.calledWith(migrationsTableMock.create, sinon.match({ version: 1, name: 'baseline' }));
+                assert.calledWith(lockTableMock.create, sinon.match({ id: 1 }));
+                assert.calledOnce(lockTableMock.destroy);
+            }));
+
+        it('only adds missing columns to tables that already exist', () => {
+            queryInterfaceMock.tableExists.resolves(true);
+            queryInterfaceMock.describeTable.resolves({ id: {}, name: {} });
+            queryInterfaceMock.showIndex.resolves([
+                { name: 'jobs_state', unique: false, fields: [{ attribute: 'state' }] },
+                { name: 'jobs_uniquerow', unique: true, fields: [{ attribute: 'name' }] }
+            ]);
+
+            return migrator.migrate().then(migration => {
+                assert.deepEqual(
+                    migration.steps.map(step => step.up),
+                    [{ action: 'addColumn', table: 'jobs', column: 'state', attribute: jobsSnapshot.columns.state }]
+                );
+                assert.notCalled(queryInterfaceMock.createTable);
+                assert.calledWith(queryInterfaceMock.addColumn, 'jobs', 'state', jobsSnapshot.columns.state);
+            });
+        });
+
+        it('keeps the indexes of existing tables under the names they have in the database', () => {
+            queryInterfaceMock.tableExists.resolves(true);
+            queryInterfaceMock.describeTable.resolves({ id: {}, name: {}, state: {} });
+            // As created by sync() on MySQL, without the state index
+            queryInterfaceMock.showIndex.resolves([
+                { name: 'PRIMARY', primary: true, unique: true, fields: [{ attribute: 'id' }] },
+                { name: 'uniquerow', primary: false, unique: true, fields: [{ attribute: 'name' }] }
+            ]);
+
+            return migrator.migrate().then(migration => {
+                assert.deepEqual(
+                    migration.steps.map(step => step.up),
+                    [{ action: 'addIndex', table: 'jobs', index: jobsSnapshot.indexes.jobs_state }]
+                );
+                assert.deepEqual(migration.snapshot.jobs.indexes.jobs_uniquerow, {
+                    ...jobsSnapshot.indexes.jobs_uniquerow,
+                    dbName: 'uniquerow'
+                });
+            });
+        });
+
+        it('removes indexes by the name they have in the database, and unique constraints with the constraint', () => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            previous.indexes.jobs_uniquerow = {
+                name: 'jobs_uniquerow',
+                fields: ['name', 'state'],
+                unique: true,
+                dbName: 'jobs_name_state_key',
+                constraint: true
+            };
+            previous.indexes.jobs_state.dbName = 'state_idx';
+            clientMock.getDialect.returns('postgres');
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 2, name: 'migration-2', steps: [], snapshot: { jobs: previous } })
+            ]);
+
+            return migrator.migrate().then(migration => {
+                assert.calledOnceWithExactly(queryInterfaceMock.removeConstraint, 'jobs', 'jobs_name_state_key');
+                assert.calledOnceWithExactly(queryInterfaceMock.addIndex, 'jobs', ['name'], {
+                    name: 'jobs_uniquerow',
+                    unique: true
+                });
+                assert.notCalled(queryInterfaceMock.removeIndex);
+                // Unchanged indexes keep their name in the database
+                assert.equal(migration.snapshot.jobs.indexes.jobs_state.dbName, 'state_idx');
+            });
+        });
+
+        it('rebuilds SQLite tables to remove a unique constraint, and creates their indexes again', () => {
+            clientMock.getDialect.returns('sqlite');
+            clientMock.query = sinon.stub().resolves([]);
+            clientMock.query
+                .withArgs(sinon.match(/sqlite_master/))
+                .resolves([{ sql: 'CREATE TABLE `jobs` (`id` INTEGER, `name` VARCHAR(64), UNIQUE (`name`))' }]);
+            queryInterfaceMock.showIndex.resolves([
+                { name: 'sqlite_autoindex_jobs_1', origin: 'u', unique: true, fields: [{ attribute: 'name' }] },
+                { name: 'jobs_state', origin: 'c', unique: false, fields: [{ attribute: 'state' }] }
+            ]);
+            queryInterfaceMock.queryGenerator.quoteTable = name => `\`${name}\``;
+            queryInterfaceMock.queryGenerator.quoteIdentifier = name => `\`${name}\``;
+
+            return migrator
+                ._removeIndex('jobs', {
+                    name: 'jobs_uniquerow',
+                    fields: ['name'],
+                    unique: true,
+                    dbName: 'sqlite_autoindex_jobs_1',
+                    constraint: true
+                })
+                .then(() => {
+                    assert.deepEqual(
+                        clientMock.query.args.slice(1).map(args => args[0]),
+                        [
+                            'CREATE TABLE `jobs_backup` (`id` INTEGER, `name` VARCHAR(64));',
+                            'INSERT INTO `jobs_backup` SELECT * FROM `jobs`;',
+                            'DROP TABLE `jobs`;',
+                            'ALTER TABLE `jobs_backup` RENAME TO `jobs`;'
+                        ]
+                    );
+                    assert.calledOnceWithExactly(queryInterfaceMock.addIndex, 'jobs', ['state'], {
+                        name: 'jobs_state',
+                        unique: false
+                    });
+                });
+        });
+
+        it('does nothing when the schema is up to date', () => {
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 3, name: 'migration-3', steps: [], snapshot: { jobs: jobsSnapshot } })
+            ]);
+
+            return migrator.migrate().then(migration => {
+                assert.isNull(migration);
+                assert.notCalled(migrationsTableMock.create);
+                assert.calledOnce(lockTableMock.destroy);
+            });
+        });
+
+        it('diffs against the last applied migration', () => {
+            const previous = JSON.parse(JSON.stringify(jobsSnapshot));
+
+            delete previous.columns.state;
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 3, name: 'migration-3', steps: [], snapshot: { jobs: previous } })
+            ]);
+
+            return migrator.migrate().then(migration => {
+                assert.equal(migration.version, 4);
+                assert.calledOnce(queryInterfaceMock.addColumn);
+                assert.calledWith(migrationsTableMock.create, sinon.match({ version: 4, name: 'migration-4' }));
+            });
+        });
+
+        it('reverts applied steps and releases the lock when a step fails', () => {
+            const testError = new Error('cannot add index');
+
+            queryInterfaceMock.addIndex.onSecondCall().rejects(testError);
+
+            return migrator
+                .migrate()
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err, testError);
+                    assert.calledWith(queryInterfaceMock.removeIndex, 'jobs', 'jobs_state');
+                    assert.calledWith(queryInterfaceMock.dropTable, 'jobs');
+                    assert.isTrue(queryInterfaceMock.removeIndex.calledBefore(queryInterfaceMock.dropTable));
+                    assert.notCalled(migrationsTableMock.create);
+                    assert.calledOnce(lockTableMock.destroy);
+                });
+        });
+
+        it('fails when the lock cannot be acquired in time', () => {
+            const lockError = new Error('duplicate');
+
+            lockError.name = 'SequelizeUniqueConstraintError';
+            lockTableMock.create.rejects(lockError);
+
+            return migrator
+                .migrate()
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.match(err.message, /Timed out waiting for the migration lock/);
+                    assert.notCalled(queryInterfaceMock.createTable);
+                    assert.neverCalledWith(lockTableMock.destroy, { where: { id: 1, owner: migrator.owner } });
+                });
+        });
+
+        it('takes over a lock that was not refreshed in time', () => {
+            const lockError = new Error('duplicate');
+
+            lockError.name = 'SequelizeUniqueConstraintError';
+            lockTableMock.create.onFirstCall().rejects(lockError);
+            lockTableMock.destroy.onFirstCall().resolves(1);
+            sinon.stub(Date, 'now').returns(1000000);
+
+            return migrator
+                .migrate()
+                .then(() => {
+                    assert.calledWith(lockTableMock.destroy.firstCall, {
+                        where: { id: 1, lockedAt: { [Op.lt]: new Date(400000) } }
+                    });
+                    assert.calledTwice(lockTableMock.create);
+                    assert.calledOnce(queryInterfaceMock.createTable);
+                })
+                .finally(() => Date.now.restore());
+        });
+
+        it('refreshes the lock while holding it', () => {
+            const clock = sinon.useFakeTimers();
+
+            return migrator
+                ._lock()
+                .then(() => {
+                    clock.tick(200000);
+                    assert.calledOnceWithExactly(
+                        lockTableMock.update,
+                        { lockedAt: sinon.match.date },
+                        { where: { id: 1, owner: migrator.owner } }
+                    );
+
+                    return migrator._unlock();
+                })
+                .then(() => {
+                    clock.tick(200000);
+                    assert.calledOnce(lockTableMock.update);
+                })
+                .finally(() => clock.restore());
+        });
+    });
+
+    describe('rollback', () => {
+        it('runs the down steps of the last migration and forgets it', () => {
+            const steps = Migrator.diffTable('jobs', undefined, jobsSnapshot);
+
+            queryInterfaceMock.tableExists.withArgs('schemaMigrations').resolves(true);
+            migrationsTableMock.findAll.resolves([
+                migrationRow({ version: 1, name: 'baseline', steps, snapshot: { jobs: jobsSnapshot } })
+            ]);
+
+            return migrator.rollback().then(migration => {
+                assert.equal(migration.version, 1);
+                assert.calledTwice(queryInterfaceMock.removeIndex);
+                assert.calledWith(queryInterfaceMock.dropTable, 'jobs');
+                assert.calledWith(migrationsTableMock.destroy, { where: { version: 1 } });
+            });
+        });
+
+        it('does nothing when no migration was applied', () =>
+            migrator.rollback().then(migration => {
+                assert.isNull(migration);
+                assert.notCalled(queryInterfaceMock.dropTable);
+            }));
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const errors = require('../../lib/errors');
+const retry = require('../../lib/retry');
+
+describe('retry test', () => {
+    describe('policy', () => {
+        it('does not retry by default', () => {
+            const policy = retry.policy();
+
+            assert.equal(policy.maxAttempts, 1);
+            assert.isTrue(policy.idempotent.get);
+            assert.isFalse(policy.idempotent.save);
+        });
+
+        it('overrides the idempotency of operations', () => {
+            const policy = retry.policy({ maxAttempts: 3, idempotent: { query: false } });
+
+            assert.equal(policy.maxAttempts, 3);
+            assert.isFalse(policy.idempotent.query);
+            assert.isTrue(policy.idempotent.scan);
+        });
+
+        it('throws on an invalid policy', () => {
+            assert.throws(() => retry.policy({ maxAttempts: 0 }), /Invalid retry policy: "maxAttempts"/);
+            assert.throws(() => retry.policy({ idempotent: { banana: true } }), /Invalid retry policy/);
+        });
+    });
+
+    describe('isRetryable', () => {
+        it('retries deadlocks and failed connection attempts for every operation', () => {
+            const refused = new Error('connect ECONNREFUSED');
+
+            refused.name = 'SequelizeConnectionRefusedError';
+
+            assert.isTrue(retry.isRetryable(new errors.DeadlockError('deadlock'), false));
+            assert.isTrue(retry.isRetryable(new errors.ConnectionLostError('refused', { cause: refused }), false));
+        });
+
+        it('only retries connections lost during a statement for idempotent operations', () => {
+            const reset = new Error('read ECONNRESET');
+
+            reset.name = 'SequelizeDatabaseError';
+
+            const err = new errors.ConnectionLostError('read ECONNRESET', { cause: reset });
+
+            assert.isTrue(retry.isRetryable(err, true));
+            assert.isFalse(retry.isRetryable(err, false));
+        });
+
+        it('does not retry other errors', () => {
+            assert.isFalse(retry.isRetryable(new errors.UniqueViolationError('duplicate'), true));
+            assert.isFalse(retry.isRetryable(new errors.TimeoutError('statement timeout'), true));
+            assert.isFalse(retry.isRetryable(new errors.DatastoreError('unknown'), true));
+            assert.isFalse(retry.isRetryable(new errors.AuthenticationError('password authentication failed'), true));
+        });
+    });
+
+    describe('backoffDelay', () => {
+        afterEach(() => {
+            sinon.restore();
+        });
+
+        it('doubles the delay on every attempt up to the maximum, with jitter', () => {
+            const options = { baseDelay: 100, maxDelay: 500 };
+
+            sinon.stub(Math, 'random').returns(1);
+
+            assert.equal(retry.backoffDelay(1, options), 100);
+            assert.equal(retry.backoffDelay(2, options), 200);
+            assert.equal(retry.backoffDelay(3, options), 400);
+            assert.equal(retry.backoffDelay(4, options), 500);
+
+            Math.random.returns(0.5);
+
+            assert.equal(retry.backoffDelay(2, options), 100);
+        });
+    });
+});
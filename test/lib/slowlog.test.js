@@ -0,0 +1,138 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const logger = require('screwdriver-logger');
+const { SlowQueryLog, fingerprint, redact } = require('../../lib/slowlog');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('slowlog test', () => {
+    describe('redact', () => {
+        it('replaces the values compared to columns, except allowed ones', () => {
+            const sql =
+                "SELECT `id` FROM `builds` AS `builds` WHERE `builds`.`status` IN ('QUEUED', 'RUNNING') " +
+                'AND `builds`.`number` BETWEEN 1 AND 5 AND `builds`.`meta` = \'{"token":"s3cret"}\' LIMIT 10;';
+
+            assert.equal(
+                redact(sql, { allowedColumns: ['status'] }),
+                "SELECT `id` FROM `builds` AS `builds` WHERE `builds`.`status` IN ('QUEUED', 'RUNNING') " +
+                    'AND `builds`.`number` BETWEEN ? AND ? AND `builds`.`meta` = ? LIMIT ?;'
+            );
+        });
+
+        it('maps inserted values to their columns', () => {
+            const sql =
+                'INSERT INTO "users" ("id","username","token") VALUES ' +
+                "(NULL,'batman','abc''123'),(NULL,'robin','def456');";
+
+            assert.equal(
+                redact(sql, { allowedColumns: ['username'] }),
+                'INSERT INTO "users" ("id","username","token") VALUES (NULL,\'batman\',?),(NULL,\'robin\',?);'
+            );
+        });
+
+        it('does not log values passed to functions or listed after a column', () => {
+            const sql = 'SELECT "name", \'secret\' FROM "jobs" WHERE lower(\'secret\') = "name"';
+
+            assert.equal(
+                redact(sql, { allowedColumns: ['name'] }),
+                'SELECT "name", ? FROM "jobs" WHERE lower(?) = "name"'
+            );
+        });
+
+        it('reads MySQL strings with backslash escapes as one value', () => {
+            const sql = "UPDATE `users` SET `username`='it\\'s', `token`='\\' OR `username` = \\'x' WHERE `id` = 1";
+
+            assert.equal(
+                redact(sql, { allowedColumns: ['username', 'id'], backslashEscapes: true }),
+                "UPDATE `users` SET `username`='it\\'s', `token`=? WHERE `id` = 1"
+            );
+        });
+    });
+
+    describe('fingerprint', () => {
+        it('is shared by executions with different values and list lengths', () => {
+            const first = fingerprint("SELECT * FROM `jobs` WHERE `id` IN (1, 2, 3) AND `name` = 'main'");
+            const second = fingerprint("SELECT * FROM `jobs` WHERE `id` IN (4) AND `name` = 'pr'");
+            const bulk = fingerprint("INSERT INTO `jobs` (`id`,`name`) VALUES (NULL,'a'),(NULL,'b')");
+
+            assert.equal(first.fingerprint, second.fingerprint);
+            assert.equal(first.statement, 'SELECT * FROM `jobs` WHERE `id` IN (?) AND `name` = ?');
+            assert.equal(bulk.statement, 'INSERT INTO `jobs` (`id`,`name`) VALUES (NULL,?)');
+            assert.notEqual(first.fingerprint, bulk.fingerprint);
+        });
+    });
+
+    describe('SlowQueryLog', () => {
+        let clock;
+
+        beforeEach(() => {
+            clock = sinon.useFakeTimers();
+            sinon.stub(logger, 'info');
+        });
+
+        afterEach(() => {
+            clock.restore();
+            sinon.restore();
+        });
+
+        it('logs sampled queries redacted, and a summary per fingerprint on every interval', () => {
+            const slowlog = new SlowQueryLog({ sampleRate: 0.5, interval: 1000 }, 'mysql');
+
+            sinon.stub(Math, 'random').returns(0.7);
+            slowlog.record("Executed (default): SELECT * FROM `jobs` WHERE `name` = 'a'", 1200);
+            Math.random.returns(0.2);
+            slowlog.record("Executed (a1b2-c3): SELECT * FROM `jobs` WHERE `name` = 'b'", 3000);
+
+            assert.calledOnce(logger.info);
+            assert.calledWith(
+                logger.info,
+                'Slow log detected: SELECT * FROM `jobs` WHERE `name` = ?, executed in 3000ms',
+                sinon.match({ fingerprint: sinon.match.string })
+            );
+
+            clock.tick(1000);
+
+            assert.calledTwice(logger.info);
+            assert.calledWith(logger.info.secondCall, 'Slow query summary: SELECT * FROM `jobs` WHERE `name` = ?', {
+                fingerprint: logger.info.firstCall.args[1].fingerprint,
+                count: 2,
+                totalTime: 4200,
+                maxTime: 3000
+            });
+
+            clock.tick(1000);
+
+            assert.calledTwice(logger.info);
+        });
+
+        it('logs the remaining summaries and stops the timer', () => {
+            const slowlog = new SlowQueryLog({ sampleRate: 0 });
+
+            slowlog.record('Executed (default): SELECT 1', 1500);
+            slowlog.stop();
+
+            assert.calledOnce(logger.info);
+            assert.equal(clock.countTimers(), 0);
+        });
+
+        it('does not aggregate with an interval of 0', () => {
+            const slowlog = new SlowQueryLog({ interval: 0 });
+
+            slowlog.record('Executed (default): SELECT 1', 1500);
+            slowlog.stop();
+
+            assert.calledOnceWithExactly(
+                logger.info,
+                'Slow log detected: SELECT ?, executed in 1500ms',
+                sinon.match.object
+            );
+            assert.equal(clock.countTimers(), 0);
+        });
+
+        it('throws on an invalid config', () => {
+            assert.throws(() => new SlowQueryLog({ sampleRate: 2 }), /Invalid slowlog: "sampleRate"/);
+        });
+    });
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const { assert } = require('chai');
+const sinon = require('sinon');
+const errors = require('../../lib/errors');
+const { StatementLimits, setSessionTimeout } = require('../../lib/timeouts');
+
+sinon.assert.expose(assert, { prefix: '' });
+
+describe('timeouts test', () => {
+    let connection;
+
+    beforeEach(() => {
+        connection = {
+            processID: 42,
+            threadId: 7,
+            query: sinon.stub().yields(null),
+            interrupt: sinon.stub()
+        };
+    });
+
+    describe('setSessionTimeout', () => {
+        it('sets the statement timeout of the session natively', () =>
+            Promise.all([
+                setSessionTimeout('postgres', connection, 5000),
+                setSessionTimeout('mysql', connection, 5000),
+                setSessionTimeout('sqlite', connection, 5000)
+            ]).then(() => {
+                assert.calledTwice(connection.query);
+                assert.calledWith(connection.query, 'SET statement_timeout = 5000');
+                assert.calledWith(connection.query, 'SET SESSION max_execution_time = 5000');
+            }));
+
+        it('uses the promises of mariadb connections', () => {
+            connection.query = sinon.stub().resolves();
+
+            return setSessionTimeout('mariadb', connection, 2500).then(() => {
+                assert.calledOnceWithExactly(connection.query, 'SET SESSION max_statement_time = 2.5');
+            });
+        });
+
+        it('rejects when the statement fails', () => {
+            connection.query.yields(new Error('permission denied'));
+
+            return setSessionTimeout('postgres', connection, 5000)
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.equal(err.message, 'permission denied');
+                });
+        });
+    });
+
+    describe('StatementLimits', () => {
+        const context = { dialect: 'postgres', sessionTimeout: 30000, query: sinon.stub().resolves() };
+
+        it('overrides the session timeout around each statement', () => {
+            const limits = new StatementLimits({ timeout: 1000 }, context);
+            const query = { connection };
+
+            return limits
+                .before(query)
+                .then(() => {
+                    assert.calledWith(connection.query, 'SET statement_timeout = 1000');
+
+                    return limits.after(query);
+                })
+                .then(() => {
+                    assert.calledWith(connection.query, 'SET statement_timeout = 30000');
+                    assert.equal(limits.running.size, 0);
+                });
+        });
+
+        it('leaves the session timeout alone when it is the same', () => {
+            const limits = new StatementLimits({ timeout: 30000 }, context);
+
+            return limits
+                .before({ connection })
+                .then(() => limits.after({ connection }))
+                .then(() => {
+                    assert.notCalled(connection.query);
+                });
+        });
+
+        it('does not fail when the timeout cannot be restored', () => {
+            const limits = new StatementLimits({ timeout: 1000 }, context);
+
+            connection.query.onSecondCall().yields(new Error('current transaction is aborted'));
+
+            return limits.before({ connection }).then(() => limits.after({ connection }));
+        });
+
+        it('interrupts SQLite statements running longer than the timeout', () => {
+            const clock = sinon.useFakeTimers();
+            const limits = new StatementLimits({ timeout: 1000 }, { dialect: 'sqlite' });
+            const interrupted = new errors.TimeoutError('SQLITE_INTERRUPT: interrupted');
+
+            return limits
+                .before({ connection })
+                .then(() => {
+                    clock.tick(1000);
+                    clock.restore();
+
+                    assert.calledOnce(connection.interrupt);
+
+                    const err = limits.normalizeError(Object.assign(interrupted, { table: 'events' }));
+
+                    assert.instanceOf(err, errors.StatementTimeoutError);
+                    assert.instanceOf(err, errors.TimeoutError);
+                    assert.equal(err.timeout, 1000);
+                    assert.equal(err.table, 'events');
+                    assert.equal(err.cause, interrupted);
+                })
+                .finally(() => clock.restore());
+        });
+
+        it('cancels the running statements from another connection when the signal is aborted', () => {
+            const controller = new AbortController();
+            const query = sinon.stub().resolves();
+            const postgres = new StatementLimits({ signal: controller.signal }, { dialect: 'postgres', query });
+            const mysql = new StatementLimits({ signal: controller.signal }, { dialect: 'mysql', query });
+
+            return Promise.all([postgres.before({ connection }), mysql.before({ connection })]).then(() => {
+                controller.abort(new Error('request closed'));
+
+                assert.calledWith(query, 'SELECT pg_cancel_backend(42)');
+                assert.calledWith(query, 'KILL QUERY 7');
+
+                const err = postgres.normalizeError(new errors.TimeoutError('canceling statement due to user request'));
+
+                assert.instanceOf(err, errors.CancelledError);
+                assert.equal(err.message, 'request closed');
+                assert.equal(err.reason, controller.signal.reason);
+            });
+        });
+
+        it('rejects statements once the signal is aborted, and keeps other errors', () => {
+            const controller = new AbortController();
+            const limits = new StatementLimits({ signal: controller.signal }, context);
+            const conflict = new errors.UniqueViolationError('duplicate');
+
+            controller.abort();
+
+            assert.equal(limits.normalizeError(conflict), conflict);
+
+            return limits
+                .before({ connection })
+                .then(() => {
+                    throw new Error('Oops');
+                })
+                .catch(err => {
+                    assert.instanceOf(err, errors.CancelledError);
+                    assert.notCalled(connection.query);
+                });
+        });
+
+        it('stops listening to the signal once disposed', () => {
+            const controller = new AbortController();
+            const query = sinon.stub().resolves();
+            const limits = new StatementLimits({ signal: controller.signal }, { dialect: 'postgres', query });
+
+            return limits.before({ connection }).then(() => {
+                limits.dispose();
+                controller.abort();
+
+                assert.notCalled(query);
+            });
+        });
+
+        it('tells which dialects are supported', () => {
+            assert.isTrue(StatementLimits.isSupported('postgres'));
+            assert.isTrue(StatementLimits.isSupported('sqlite'));
+            assert.isFalse(StatementLimits.isSupported('mssql'));
+            assert.isTrue(StatementLimits.hasSessionTimeout('mysql'));
+            assert.isFalse(StatementLimits.hasSessionTimeout('sqlite'));
+        });
+    });
+});